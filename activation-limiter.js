@@ -0,0 +1,109 @@
+import path from 'path';
+import { readJsonFile, writeJsonFileAtomic } from './json-file.js';
+
+// --- ACTIVATION RATE LIMITING ---
+// Per-user and global sliding-window limits on activation attempts, plus
+// lockouts after repeated bad codes. Each lockout doubles the cooldown of the
+// previous one. Lockouts are persisted so a restart doesn't lift them. After
+// ACTIVATION_LOCKOUT_RESET_DAYS without a failure the escalation starts over.
+const ACTIVATION_LIMITS_FILE = process.env.ACTIVATION_LIMITS_FILE || path.join(process.cwd(), 'activation-limits.json');
+
+const USER_LIMIT = parseInt(process.env.ACTIVATION_USER_LIMIT || '5', 10);
+const USER_WINDOW_MS = parseInt(process.env.ACTIVATION_USER_WINDOW_SECONDS || '600', 10) * 1000;
+const GLOBAL_LIMIT = parseInt(process.env.ACTIVATION_GLOBAL_LIMIT || '60', 10);
+const GLOBAL_WINDOW_MS = 60 * 1000;
+const FAIL_THRESHOLD = parseInt(process.env.ACTIVATION_FAIL_THRESHOLD || '5', 10);
+const BASE_LOCKOUT_MS = parseInt(process.env.ACTIVATION_LOCKOUT_MINUTES || '15', 10) * 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+const RESET_AFTER_MS = parseInt(process.env.ACTIVATION_LOCKOUT_RESET_DAYS || '7', 10) * 24 * 60 * 60 * 1000;
+
+// Results that suggest someone is guessing codes. CLAIM_PENDING is left out: it
+// is what a member sees when they resubmit their own code while it's still
+// being claimed, so it says nothing about guessing.
+const FAILURE_CODES = ['NOT_FOUND', 'ALREADY_USED', 'CODE_EXPIRED'];
+
+export class ActivationLimiter {
+  constructor(filePath = ACTIVATION_LIMITS_FILE) {
+    this.filePath = filePath;
+    // userId -> { failures, lockouts, lockedUntil, lastFailureAt }
+    this.users = readJsonFile(filePath, {}).users || {};
+    // In-memory only: attempt timestamps for the sliding windows
+    this.userAttempts = new Map();
+    this.globalAttempts = [];
+  }
+
+  save() {
+    writeJsonFileAtomic(this.filePath, { users: this.users });
+  }
+
+  // Counts the attempt when allowed
+  check(userId, now = Date.now()) {
+    const state = this.users[userId];
+    if (state?.lockedUntil && new Date(state.lockedUntil).getTime() > now) {
+      return { allowed: false, reason: 'LOCKED', retryAfterMs: new Date(state.lockedUntil).getTime() - now };
+    }
+
+    this.globalAttempts = this.globalAttempts.filter(t => now - t < GLOBAL_WINDOW_MS);
+    if (this.globalAttempts.length >= GLOBAL_LIMIT) {
+      return { allowed: false, reason: 'GLOBAL_RATE', retryAfterMs: GLOBAL_WINDOW_MS - (now - this.globalAttempts[0]) };
+    }
+
+    const attempts = (this.userAttempts.get(userId) || []).filter(t => now - t < USER_WINDOW_MS);
+    if (attempts.length >= USER_LIMIT) {
+      this.userAttempts.set(userId, attempts);
+      return { allowed: false, reason: 'USER_RATE', retryAfterMs: USER_WINDOW_MS - (now - attempts[0]) };
+    }
+
+    attempts.push(now);
+    this.userAttempts.set(userId, attempts);
+    this.globalAttempts.push(now);
+    return { allowed: true };
+  }
+
+  // Feed back the activation result; returns the new state and whether it just locked
+  recordResult(userId, code, now = Date.now()) {
+    const state = this.users[userId] || { failures: 0, lockouts: 0, lockedUntil: null, lastFailureAt: null };
+
+    if (code === 'OK') {
+      if (!this.users[userId]) return { lockedOut: false, ...state };
+      state.failures = 0;
+    } else if (FAILURE_CODES.includes(code)) {
+      // A quiet period wipes the slate: old failures and lockouts no longer count
+      const quietSince = Math.max(new Date(state.lastFailureAt || 0).getTime(), new Date(state.lockedUntil || 0).getTime());
+      if (quietSince && now - quietSince > RESET_AFTER_MS) {
+        state.failures = 0;
+        state.lockouts = 0;
+      }
+      state.failures += 1;
+      state.lastFailureAt = new Date(now).toISOString();
+    } else {
+      return { lockedOut: false, ...state };
+    }
+
+    let lockedOut = false;
+    if (state.failures >= FAIL_THRESHOLD) {
+      state.lockouts += 1;
+      const cooldown = Math.min(BASE_LOCKOUT_MS * 2 ** (state.lockouts - 1), MAX_LOCKOUT_MS);
+      state.lockedUntil = new Date(now + cooldown).toISOString();
+      state.failures = 0;
+      lockedOut = true;
+    }
+
+    this.users[userId] = state;
+    this.save();
+    return { lockedOut, ...state };
+  }
+
+  // Lift a lockout; also forgets the escalation history and recent attempts
+  unlock(userId) {
+    const existed = Boolean(this.users[userId]);
+    delete this.users[userId];
+    this.userAttempts.delete(userId);
+    if (existed) this.save();
+    return existed;
+  }
+
+  status(userId) {
+    return this.users[userId] || null;
+  }
+}
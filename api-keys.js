@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// --- API KEYS ---
+// Named keys for the HTTP API, each limited to a set of scopes. Keys live in
+// API_KEYS_FILE; a secret is written inline or as `$ENV_VAR`. Requests are
+// signed: X-Api-Key-Id names the key, X-Timestamp is unix seconds, and
+// X-Signature is the hex HMAC-SHA256, with the key's secret, of
+// `${timestamp}.${METHOD}.${path with query}.${raw body}`. Keys marked
+// `allowUnsigned` may send the bare secret in X-Api-Key instead. Without a file,
+// DISCORD_API_SECRET is a single unsigned key with every scope, as before.
+// The file is loaded at startup and again only on /admin apikeys reload, so a
+// bad file stops the bot or is rejected by the reload, never by a request.
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(process.cwd(), 'api-keys.json');
+
+export const API_SCOPES = [
+  'mod:read',
+  'mod:write',
+  'members:read',
+  'jobs:run',
+  'webinar:read',
+  'webinar:write',
+  'codes:read',
+  'codes:write',
+  'coupons:read',
+  'mail:test'
+];
+
+const SIGNATURE_TOLERANCE_MS = parseInt(process.env.API_SIGNATURE_TOLERANCE_SECONDS || '300', 10) * 1000;
+const MIN_SECRET_LENGTH = 16;
+
+let keys = null;
+let source = null;
+
+function resolveSecret(value) {
+  return typeof value === 'string' && value.startsWith('$') ? process.env[value.slice(1)] : value;
+}
+
+function validateKey(key, index) {
+  if (!key.name || !/^[\w.-]{1,64}$/.test(key.name)) {
+    throw new Error(`Key #${index}: name must be 1-64 letters, digits, dots, dashes or underscores`);
+  }
+  const secret = resolveSecret(key.secret);
+  if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+    throw new Error(`Key "${key.name}": secret must be at least ${MIN_SECRET_LENGTH} characters${`${key.secret}`.startsWith('$') ? ` (is ${key.secret} set?)` : ''}`);
+  }
+  if (!Array.isArray(key.scopes) || !key.scopes.length) {
+    throw new Error(`Key "${key.name}": scopes must be a non-empty array`);
+  }
+  const unknown = key.scopes.filter(s => s !== '*' && !API_SCOPES.includes(s));
+  if (unknown.length) {
+    throw new Error(`Key "${key.name}": unknown scope(s) ${unknown.join(', ')} (use ${API_SCOPES.join(', ')} or *)`);
+  }
+  return { name: key.name, secret, scopes: key.scopes, allowUnsigned: key.allowUnsigned === true };
+}
+
+// (Re)load the registry; the file is validated as a whole before it replaces the current keys
+export function loadApiKeys(filePath = API_KEYS_FILE) {
+  if (!fs.existsSync(filePath)) {
+    const legacy = process.env.DISCORD_API_SECRET;
+    keys = legacy ? [{ name: 'default', secret: legacy, scopes: ['*'], allowUnsigned: true }] : [];
+    source = 'DISCORD_API_SECRET';
+    return keys;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`${filePath} is not valid JSON: ${err.message}`);
+  }
+  const validated = (raw.keys || []).map(validateKey);
+  const names = validated.map(k => k.name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) throw new Error(`Key "${duplicate}" is defined twice`);
+
+  keys = validated;
+  source = filePath;
+  return keys;
+}
+
+export function getApiKeysSource() {
+  return source;
+}
+
+// Names and scopes only; secrets never leave this module
+export function listApiKeys() {
+  return (keys || []).map(({ name, scopes, allowUnsigned }) => ({ name, scopes, allowUnsigned }));
+}
+
+// Hash both sides first so inputs of any length compare in constant time
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(`${a}`).digest();
+  const hashB = crypto.createHash('sha256').update(`${b}`).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+export function signRequest(secret, { timestamp, method, path: requestPath, body = '' }) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${method.toUpperCase()}.${requestPath}.`)
+    .update(body)
+    .digest('hex');
+}
+
+// Signatures accepted inside the tolerance window, so a captured request can't be replayed
+const seenSignatures = new Map();
+
+function pruneSeenSignatures(now) {
+  for (const [signature, at] of seenSignatures) {
+    if (at < now - SIGNATURE_TOLERANCE_MS) seenSignatures.delete(signature);
+  }
+}
+
+// The key behind a request as { key }, or { error, keyName? } when it's rejected
+export function authenticateRequest({ headers, method, path: requestPath, rawBody = null }, now = Date.now()) {
+  if (!keys) return { error: 'API keys not loaded' };
+
+  const keyId = headers['x-api-key-id'];
+  if (keyId) {
+    const key = keys.find(k => k.name === keyId);
+    const timestamp = headers['x-timestamp'];
+    const signature = headers['x-signature'];
+    if (!key || !timestamp || !signature) return { error: 'Unauthorized', keyName: `${keyId}` };
+
+    const signedAt = Number(timestamp) * 1000;
+    if (!Number.isFinite(signedAt) || Math.abs(now - signedAt) > SIGNATURE_TOLERANCE_MS) {
+      return { error: 'Request timestamp outside the allowed window', keyName: key.name };
+    }
+    const expected = signRequest(key.secret, { timestamp, method, path: requestPath, body: rawBody || '' });
+    if (!safeEqual(expected, `${signature}`.toLowerCase())) return { error: 'Unauthorized', keyName: key.name };
+
+    pruneSeenSignatures(now);
+    if (seenSignatures.has(expected)) return { error: 'Request already used', keyName: key.name };
+    seenSignatures.set(expected, signedAt);
+    return { key };
+  }
+
+  const presented = headers['x-api-key'];
+  if (!presented) return { error: 'Unauthorized' };
+  // Check every key so the time taken doesn't reveal which one matched
+  let match = null;
+  for (const key of keys) {
+    if (safeEqual(key.secret, presented) && !match) match = key;
+  }
+  if (!match) return { error: 'Unauthorized' };
+  if (!match.allowUnsigned) return { error: 'This key must sign its requests', keyName: match.name };
+  return { key: match };
+}
+
+export function hasScope(key, scope) {
+  return key.scopes.includes('*') || key.scopes.includes(scope);
+}
@@ -0,0 +1,191 @@
+import crypto from 'crypto';
+import path from 'path';
+import { readJsonFile, writeJsonFileAtomic } from './json-file.js';
+import { toCsv } from './webinar-store.js';
+
+// --- GENERATED ACTIVATION CODES ---
+// Code batches created from the bot (webinars, promos). Every batch belongs to
+// a campaign and carries its own settings: roles to grant, optional membership
+// duration, optional code expiry and how many times each code can be used.
+// Each redemption is recorded on the code, with its own membership expiry.
+const CODE_CAMPAIGNS_FILE = process.env.CODE_CAMPAIGNS_FILE || path.join(process.cwd(), 'code-campaigns.json');
+
+const MAX_BATCH_SIZE = 5000;
+
+export const CODE_EXPORT_HEADERS = ['code', 'campaign', 'batch_id', 'roles', 'months', 'expires_at', 'max_uses', 'uses', 'used_by'];
+
+export class CampaignStore {
+  constructor(filePath = CODE_CAMPAIGNS_FILE) {
+    this.filePath = filePath;
+    const raw = readJsonFile(filePath, {});
+    this.batches = raw.batches || [];
+    this.codes = new Map((raw.codes || []).map(c => [c.code, c]));
+  }
+
+  save() {
+    writeJsonFileAtomic(this.filePath, { batches: this.batches, codes: [...this.codes.values()] });
+  }
+
+  createBatch({ campaign, count, roles = [], months = null, codeExpiresAt = null, maxUses = 1, createdBy = 'SYSTEM' }) {
+    if (!campaign || !/^[\w.-]{1,64}$/.test(campaign)) {
+      throw new Error('campaign must be 1-64 letters, digits, dots, dashes or underscores');
+    }
+    if (!Number.isInteger(count) || count < 1 || count > MAX_BATCH_SIZE) {
+      throw new Error(`count must be between 1 and ${MAX_BATCH_SIZE}`);
+    }
+    if (months != null && !(Number.isInteger(months) && months > 0)) {
+      throw new Error('months must be a positive integer');
+    }
+    if (!Number.isInteger(maxUses) || maxUses < 1) {
+      throw new Error('max_uses must be a positive integer');
+    }
+    if (codeExpiresAt != null && isNaN(new Date(codeExpiresAt).getTime())) {
+      throw new Error('code expiry must be a valid date');
+    }
+
+    const batch = {
+      id: crypto.randomUUID().slice(0, 8),
+      campaign,
+      roles: roles.map(r => `${r}`),
+      months,
+      codeExpiresAt: codeExpiresAt ? new Date(codeExpiresAt).toISOString() : null,
+      maxUses,
+      count,
+      createdAt: new Date().toISOString(),
+      createdBy
+    };
+
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+      const code = crypto.randomUUID();
+      this.codes.set(code, { code, batchId: batch.id, uses: [] });
+      codes.push(code);
+    }
+
+    this.batches.push(batch);
+    this.save();
+    return { batch, codes };
+  }
+
+  getBatch(batchId) {
+    return this.batches.find(b => b.id === batchId) || null;
+  }
+
+  findCode(code) {
+    const entry = this.codes.get(`${code}`);
+    return entry ? { entry, batch: this.getBatch(entry.batchId) } : null;
+  }
+
+  // OK, or why the code can't be redeemed by this user right now
+  checkRedeemable(code, discordId, now = new Date()) {
+    const found = this.findCode(code);
+    if (!found || !found.batch) return 'NOT_FOUND';
+    const { entry, batch } = found;
+    if (batch.codeExpiresAt && new Date(batch.codeExpiresAt) < now) return 'CODE_EXPIRED';
+    if (entry.uses.some(u => u.discordId === `${discordId}`)) return 'ALREADY_USED';
+    if (entry.uses.length >= batch.maxUses) return 'ALREADY_USED';
+    return 'OK';
+  }
+
+  recordUse(code, discordUser, membershipExpiresAt = null) {
+    const { entry } = this.findCode(code);
+    const use = {
+      discordId: discordUser.id,
+      discordUsername: discordUser.tag,
+      usedAt: new Date().toISOString(),
+      membershipExpiresAt,
+      endedAt: null
+    };
+    entry.uses.push(use);
+    this.save();
+    return use;
+  }
+
+  // Time-limited grants whose membership has run out and haven't been ended yet
+  findDueGrants(isoDate) {
+    const due = [];
+    for (const entry of this.codes.values()) {
+      for (const use of entry.uses) {
+        if (use.membershipExpiresAt && !use.endedAt && use.membershipExpiresAt.slice(0, 10) <= isoDate) {
+          due.push({ code: entry.code, batch: this.getBatch(entry.batchId), use });
+        }
+      }
+    }
+    return due;
+  }
+
+  markGrantEnded(code, discordId) {
+    const { entry } = this.findCode(code);
+    const use = entry.uses.find(u => u.discordId === `${discordId}` && !u.endedAt);
+    if (use) {
+      use.endedAt = new Date().toISOString();
+      this.save();
+    }
+  }
+
+  // Every grant made through generated codes that hasn't ended
+  findActiveGrants() {
+    const grants = [];
+    for (const entry of this.codes.values()) {
+      for (const use of entry.uses) {
+        if (!use.endedAt) grants.push({ code: entry.code, batch: this.getBatch(entry.batchId), use });
+      }
+    }
+    return grants;
+  }
+
+  // Grants a user currently holds through generated codes
+  findActiveGrantsFor(discordId) {
+    return this.findActiveGrants().filter(({ use }) => use.discordId === `${discordId}`);
+  }
+
+  // Move a user's active grants to another account (membership transfer)
+  reassignGrants(fromDiscordId, toDiscordUser) {
+    const moved = this.findActiveGrantsFor(fromDiscordId);
+    for (const { use } of moved) {
+      use.transferredFrom = [...(use.transferredFrom || []), use.discordId];
+      use.discordId = toDiscordUser.id;
+      use.discordUsername = toDiscordUser.tag;
+    }
+    if (moved.length) this.save();
+    return moved;
+  }
+
+  listCampaigns() {
+    const campaigns = new Map();
+    for (const batch of this.batches) {
+      const stats = campaigns.get(batch.campaign) || { campaign: batch.campaign, batches: 0, codes: 0, redeemed: 0 };
+      stats.batches++;
+      for (const entry of this.codes.values()) {
+        if (entry.batchId !== batch.id) continue;
+        stats.codes++;
+        stats.redeemed += entry.uses.length;
+      }
+      campaigns.set(batch.campaign, stats);
+    }
+    return [...campaigns.values()];
+  }
+
+  // Export a campaign (or a single batch) as RFC 4180 CSV
+  exportCsv({ campaign = null, batchId = null } = {}) {
+    const batches = this.batches.filter(b => (!campaign || b.campaign === campaign) && (!batchId || b.id === batchId));
+    const batchIds = new Set(batches.map(b => b.id));
+    const rows = [];
+    for (const entry of this.codes.values()) {
+      if (!batchIds.has(entry.batchId)) continue;
+      const batch = this.getBatch(entry.batchId);
+      rows.push({
+        code: entry.code,
+        campaign: batch.campaign,
+        batch_id: batch.id,
+        roles: batch.roles.join(';'),
+        months: batch.months ?? '',
+        expires_at: batch.codeExpiresAt || '',
+        max_uses: batch.maxUses,
+        uses: entry.uses.length,
+        used_by: entry.uses.map(u => u.discordId).join(';')
+      });
+    }
+    return toCsv(rows, CODE_EXPORT_HEADERS);
+  }
+}
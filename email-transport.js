@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// --- EMAIL TRANSPORT ---
+// EMAIL_TRANSPORT picks the backend: `mailketing` (default), `smtp`, or `file`
+// (writes each message to EMAIL_OUTBOX_DIR instead of sending; for development
+// and staging). Every backend turns the provider's answer into
+// { success, transient, messageId?, error? }; EmailService retries the
+// transient failures (network errors, timeouts, 429/5xx, SMTP 4xx).
+const EMAIL_OUTBOX_DIR = process.env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), 'email-outbox');
+const MAILKETING_URL = 'https://api.mailketing.co.id/api/v1/send';
+
+const SEND_ATTEMPTS = parseInt(process.env.EMAIL_SEND_ATTEMPTS || '3', 10);
+const RETRY_BASE_DELAY_MS = parseInt(process.env.EMAIL_RETRY_DELAY_SECONDS || '2', 10) * 1000;
+const REQUEST_TIMEOUT_MS = 15_000;
+
+// Network-level failures worth another try
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'EAI_AGAIN', 'ENOTFOUND'];
+
+function isTransientError(err) {
+  return TRANSIENT_ERROR_CODES.includes(err.code) || TRANSIENT_ERROR_CODES.includes(err.cause?.code) || err.name === 'TimeoutError';
+}
+
+export class MailketingTransport {
+  constructor({ apiToken = process.env.MAIL_API_TOKEN, url = MAILKETING_URL } = {}) {
+    this.name = 'mailketing';
+    this.apiToken = apiToken;
+    this.url = url;
+  }
+
+  async send({ fromName, fromEmail, to, subject, html }) {
+    if (!this.apiToken) return { success: false, transient: false, error: 'MAIL_API_TOKEN is not set' };
+
+    const body = new URLSearchParams({
+      from_name: fromName || '',
+      from_email: fromEmail || '',
+      recipient: to,
+      subject,
+      content: html,
+      attach1: '',
+      attach2: '',
+      attach3: '',
+      api_token: this.apiToken
+    }).toString();
+
+    let res;
+    let text;
+    try {
+      res = await fetch(this.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Content-Length': Buffer.byteLength(body).toString()
+        },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      text = await res.text();
+    } catch (err) {
+      return { success: false, transient: isTransientError(err), error: err.message };
+    }
+
+    if (res.status === 429 || res.status >= 500) {
+      return { success: false, transient: true, error: `HTTP ${res.status}`, response: text.slice(0, 500) };
+    }
+
+    // Mailketing answers { status: 'success' | 'failed', response: '...' }, also with HTTP 200 on errors
+    let parsed = null;
+    try {
+      parsed = JSON.parse(text);
+    } catch {}
+    if (!res.ok || !parsed) {
+      return { success: false, transient: false, error: `Unexpected response (HTTP ${res.status})`, response: text.slice(0, 500) };
+    }
+    if (`${parsed.status}`.toLowerCase() !== 'success') {
+      return { success: false, transient: false, error: `${parsed.response || parsed.message || parsed.status || 'Send rejected'}`, response: parsed };
+    }
+    return { success: true, response: parsed };
+  }
+}
+
+export class SmtpTransport {
+  constructor({
+    host = process.env.SMTP_HOST,
+    port = parseInt(process.env.SMTP_PORT || '587', 10),
+    secure = process.env.SMTP_SECURE === 'true',
+    user = process.env.SMTP_USER,
+    pass = process.env.SMTP_PASS
+  } = {}) {
+    this.name = 'smtp';
+    this.host = host;
+    this.transporter = host
+      ? nodemailer.createTransport({ host, port, secure, auth: user ? { user, pass } : undefined })
+      : null;
+  }
+
+  async send({ fromName, fromEmail, to, subject, html }) {
+    if (!this.transporter) return { success: false, transient: false, error: 'SMTP_HOST is not set' };
+
+    try {
+      const info = await this.transporter.sendMail({
+        from: fromName ? { name: fromName, address: fromEmail } : fromEmail,
+        to,
+        subject,
+        html
+      });
+      if (info.rejected?.length) {
+        return { success: false, transient: false, error: `Recipient rejected: ${info.rejected.join(', ')}`, response: info.response };
+      }
+      return { success: true, messageId: info.messageId, response: info.response };
+    } catch (err) {
+      // SMTP 4xx replies are temporary by definition; 5xx are final
+      const transient = isTransientError(err) || (err.responseCode >= 400 && err.responseCode < 500);
+      return { success: false, transient, error: err.message, response: err.response };
+    }
+  }
+}
+
+// Writes messages to disk as JSON instead of sending them
+export class FileTransport {
+  constructor({ dir = EMAIL_OUTBOX_DIR } = {}) {
+    this.name = 'file';
+    this.dir = dir;
+  }
+
+  async send(message) {
+    const messageId = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomUUID().slice(0, 8)}`;
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(path.join(this.dir, `${messageId}.json`), JSON.stringify({ ...message, createdAt: new Date().toISOString() }, null, 2));
+      return { success: true, messageId };
+    } catch (err) {
+      return { success: false, transient: false, error: err.message };
+    }
+  }
+}
+
+export function createEmailTransport(kind = process.env.EMAIL_TRANSPORT || 'mailketing') {
+  switch (kind) {
+    case 'mailketing':
+      return new MailketingTransport();
+    case 'smtp':
+      return new SmtpTransport();
+    case 'file':
+      return new FileTransport();
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${kind}" (use mailketing, smtp or file)`);
+  }
+}
+
+export class EmailService {
+  constructor({
+    transport = createEmailTransport(),
+    fromName = process.env.MAIL_FROM_NAME,
+    fromEmail = process.env.MAIL_FROM_EMAIL
+  } = {}) {
+    this.transport = transport;
+    this.fromName = fromName;
+    this.fromEmail = fromEmail;
+  }
+
+  // Resolves (never throws) with the final result, the transport name and how many attempts it took
+  async send({ to, subject, html }, { attempts = SEND_ATTEMPTS } = {}) {
+    let result;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        result = await this.transport.send({ fromName: this.fromName, fromEmail: this.fromEmail, to, subject, html });
+      } catch (err) {
+        result = { success: false, transient: isTransientError(err), error: err.message };
+      }
+      if (result.success || !result.transient || attempt === attempts) {
+        return { ...result, transport: this.transport.name, attempts: attempt };
+      }
+      await new Promise(res => setTimeout(res, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1)));
+    }
+    return { ...result, transport: this.transport.name, attempts };
+  }
+}
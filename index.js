@@ -1,38 +1,70 @@
+// Must stay the first import: modules read their settings from process.env when
+// they load, so .env has to be applied before any of them is evaluated
+import "dotenv/config";
 import axios from 'axios';
 import express from "express";
-import { Client, GatewayIntentBits, EmbedBuilder, Partials, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } from "discord.js";
-import dotenv from "dotenv";
+import { Client, GatewayIntentBits, EmbedBuilder, Partials, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, SlashCommandBuilder, AttachmentBuilder, InteractionContextType, PermissionFlagsBits } from "discord.js";
 import cron from "node-cron";
 import fs from "fs";
 import path from "path";
-import { WooCommerceService } from "./woocommerce-service.js";
-
-dotenv.config();
+import { WooCommerceService, isClaimableOrder, verifyWebhookSignature } from "./woocommerce-service.js";
+import { OrderStore, isTruthyMeta, toIsoDate } from "./order-store.js";
+import { ReminderLedger } from "./reminder-ledger.js";
+import { WcOutbox } from "./wc-outbox.js";
+import { WebinarStore, isWebinarRowUsed } from "./webinar-store.js";
+import { CampaignStore } from "./code-campaigns.js";
+import { ActivationLimiter } from "./activation-limiter.js";
+import { EmailService } from "./email-transport.js";
+import { RenewalCouponStore, generateCouponCode } from "./renewal-coupons.js";
+import { UserPreferences } from "./user-preferences.js";
+import { ModerationHistory } from "./moderation-history.js";
+import { ManualGrantStore } from "./manual-grants.js";
+import { authenticateRequest, getApiKeysSource, hasScope, listApiKeys, loadApiKeys } from "./api-keys.js";
+import { metrics } from "./metrics.js";
+import { appendBotLog, runWithCorrelationId, newCorrelationId, getCorrelationId } from "./logger.js";
+import { t, hasMessage, localizations, normalizeLanguage, formatDateLong, DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from "./messages.js";
+import { loadMessageTemplates, getMessageTemplatesSource, getRenewalVoucher, getRenewalVoucherPercent, listTemplateOverrides, renderTemplate, TEMPLATE_VARIABLES } from "./message-templates.js";
+import { loadProductConfig, getProductTiers, getProductConfigSource, resolveOrderTiers, resolveMembershipTier, resolveRoleIds } from "./product-config.js";
 
 const app = express();
-app.use(express.json());
+// Keep the raw body around so webhook signatures can be verified
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+// Every request runs under a correlation ID (the caller's X-Request-Id if it sent one), echoed back
+app.use((req, res, next) => {
+  const requestId = req.headers['x-request-id'];
+  const id = /^[\w.-]{1,64}$/.test(requestId || '') ? requestId : newCorrelationId('http');
+  res.setHeader('X-Request-Id', id);
+  runWithCorrelationId(id, next);
+});
 
-const woocommerce = new WooCommerceService();
+const orderStore = new OrderStore();
+const woocommerce = new WooCommerceService({ store: orderStore });
+const reminderLedger = new ReminderLedger();
+const wcOutbox = new WcOutbox();
+const campaignStore = new CampaignStore();
+const activationLimiter = new ActivationLimiter();
+const userPreferences = new UserPreferences();
+const emailService = new EmailService();
+const renewalCoupons = new RenewalCouponStore();
+const moderationHistory = new ModerationHistory();
+const manualGrants = new ManualGrantStore();
+
+// Editable config files load now, so a bad file stops the bot at startup
+// instead of failing the first job or request that needs it
+loadMessageTemplates();
+loadApiKeys();
+
+// --- METRICS ---
+const activationAttempts = metrics.counter('activation_attempts_total', 'Activation attempts by result code', ['code']);
+const expiryRemovals = metrics.counter('expiry_removals_total', 'Memberships removed by the expiry job', ['source']);
+const reminderMessages = metrics.counter('reminder_messages_total', 'Renewal reminder outcomes by channel', ['channel', 'outcome']);
+const cronRuns = metrics.counter('cron_runs_total', 'Scheduled job runs by outcome', ['job', 'outcome']);
+const cronLastSuccess = metrics.gauge('cron_last_success_timestamp_seconds', 'Unix time of the last successful scheduled run of each job', ['job']);
 
 // --- LOGGING UTILITY ---
-const BOT_LOG_FILE = process.env.BOT_LOG_FILE || path.join(process.cwd(), 'bot-activity.log');
 const ADMIN_LOG_CHANNEL_ID = process.env.ADMIN_LOG_CHANNEL_ID;
 const ACTIVATION_LOG_CHANNEL_ID = process.env.ACTIVATION_LOG_CHANNEL_ID;
 
-function appendBotLog(level, message, data = {}) {
-  try {
-    const line = JSON.stringify({
-      ts: new Date().toISOString(),
-      level,
-      message,
-      ...data
-    }) + '\n';
-    fs.appendFileSync(BOT_LOG_FILE, line);
-  } catch (e) {
-    console.error('Failed to write bot log:', e.message);
-  }
-}
-
 async function logCritical(title, details = {}) {
   appendBotLog('CRITICAL', title, details);
   try {
@@ -69,93 +101,243 @@ client.once("clientReady", () => {
   const msg = `✅ Logged in as ${client.user.tag}`;
   console.log(msg);
   appendBotLog('INFO', msg);
+  registerSlashCommands().catch(() => null);
   // Post activation message on startup if configured
   postActivationMessage().catch(() => null);
 });
 
+// --- SLASH COMMANDS ---
+// Registered globally so they work both in the guild and in DMs with the bot
+const memberCommands = [
+  new SlashCommandBuilder()
+    .setName('activate')
+    .setDescription(t('en', 'command.activate'))
+    .setDescriptionLocalizations(localizations('command.activate'))
+    .setContexts(InteractionContextType.Guild, InteractionContextType.BotDM)
+    .addStringOption(o => o.setName('code')
+      .setDescription(t('en', 'command.activate.code'))
+      .setDescriptionLocalizations(localizations('command.activate.code'))
+      .setRequired(true)),
+  new SlashCommandBuilder()
+    .setName('membership')
+    .setDescription(t('en', 'command.membership'))
+    .setDescriptionLocalizations(localizations('command.membership'))
+    .setContexts(InteractionContextType.Guild, InteractionContextType.BotDM),
+  new SlashCommandBuilder()
+    .setName('language')
+    .setDescription(t('en', 'command.language'))
+    .setDescriptionLocalizations(localizations('command.language'))
+    .setContexts(InteractionContextType.Guild, InteractionContextType.BotDM)
+    .addStringOption(o => o.setName('language')
+      .setDescription(t('en', 'command.language.option'))
+      .setDescriptionLocalizations(localizations('command.language.option'))
+      .setRequired(true)
+      .addChoices(
+        ...SUPPORTED_LANGUAGES.map(lang => ({ name: t(lang, 'language.name'), value: lang })),
+        { name: 'Auto', value: 'auto' }
+      ))
+];
+
+// Staff-only; hidden from members by default and re-checked at runtime (see isStaff)
+const adminCommand = new SlashCommandBuilder()
+  .setName('admin')
+  .setDescription('Membership administration')
+  .setContexts(InteractionContextType.Guild)
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+  .addSubcommand(sc => sc
+    .setName('lookup')
+    .setDescription('Look up a member or an activation code')
+    .addUserOption(o => o.setName('user').setDescription('Member to look up'))
+    .addStringOption(o => o.setName('code').setDescription('Activation code (UUID) to look up')))
+  .addSubcommand(sc => sc
+    .setName('revoke')
+    .setDescription('Remove the membership role from a member')
+    .addUserOption(o => o.setName('user').setDescription('Member to revoke').setRequired(true))
+    .addStringOption(o => o.setName('reason').setDescription('Reason for the mod log')))
+  .addSubcommand(sc => sc
+    .setName('grant')
+    .setDescription('Grant membership roles manually and optionally link an order')
+    .addUserOption(o => o.setName('user').setDescription('Member to grant').setRequired(true))
+    .addIntegerOption(o => o.setName('order_id').setDescription('WooCommerce order to link to the member'))
+    .addBooleanOption(o => o.setName('lifetime').setDescription('Also grant the lifetime role'))
+    .addStringOption(o => o.setName('reason').setDescription('Reason for the mod log'))
+    .addBooleanOption(o => o.setName('override').setDescription('Link the order even if it is finished or claimed by another member')))
+  .addSubcommand(sc => sc
+    .setName('transfer')
+    .setDescription('Move a membership (roles, orders, webinar code) to another Discord account')
+    .addUserOption(o => o.setName('from').setDescription('Account that holds the membership now').setRequired(true))
+    .addUserOption(o => o.setName('to').setDescription('Account to move it to (must be in the server)').setRequired(true))
+    .addStringOption(o => o.setName('reason').setDescription('Reason for the mod log')))
+  .addSubcommand(sc => sc
+    .setName('extend')
+    .setDescription("Extend a member's expiry date")
+    .addUserOption(o => o.setName('user').setDescription('Member to extend').setRequired(true))
+    .addIntegerOption(o => o.setName('days').setDescription('Days to add').setRequired(true).setMinValue(1))
+    .addStringOption(o => o.setName('reason').setDescription('Reason for the mod log')))
+  .addSubcommand(sc => sc
+    .setName('run')
+    .setDescription('Run the expiry check or reminder job now')
+    .addStringOption(o => o.setName('job').setDescription('Job to run').setRequired(true)
+      .addChoices({ name: 'expiry-check', value: 'expiry-check' }, { name: 'expiry-reminder', value: 'expiry-reminder' }))
+    .addBooleanOption(o => o.setName('dry_run').setDescription('Only report what would happen (default: true)')))
+  .addSubcommand(sc => sc
+    .setName('reconcile')
+    .setDescription('Compare membership roles with active orders and post the differences')
+    .addStringOption(o => o.setName('fix').setDescription('Differences to fix (default: report only)')
+      .addChoices(
+        { name: 'none (report only)', value: 'none' },
+        { name: 'add missing membership roles', value: 'missing_role' },
+        { name: 'remove roles without a membership', value: 'no_membership' },
+        { name: 'both', value: 'all' }
+      )))
+  .addSubcommand(sc => sc
+    .setName('outbox')
+    .setDescription('List WooCommerce writes waiting to be retried')
+    .addBooleanOption(o => o.setName('retry').setDescription('Retry every queued item now'))
+    .addStringOption(o => o.setName('done').setDescription('ID of an item already applied in WooCommerce by hand'))
+    .addStringOption(o => o.setName('discard').setDescription('ID of an item to drop without applying it')))
+  .addSubcommandGroup(g => g
+    .setName('webinar')
+    .setDescription('Webinar activation codes')
+    .addSubcommand(sc => sc
+      .setName('import')
+      .setDescription('Import a webinar code batch (CSV); claimed codes are never overwritten')
+      .addAttachmentOption(o => o.setName('file').setDescription('CSV with an activation_uuid column').setRequired(true)))
+    .addSubcommand(sc => sc
+      .setName('export')
+      .setDescription('Download the webinar codes as CSV')))
+  .addSubcommandGroup(g => g
+    .setName('codes')
+    .setDescription('Generated activation code campaigns')
+    .addSubcommand(sc => sc
+      .setName('create')
+      .setDescription('Generate a batch of activation codes')
+      .addStringOption(o => o.setName('campaign').setDescription('Campaign name (letters, digits, . - _)').setRequired(true))
+      .addIntegerOption(o => o.setName('count').setDescription('Number of codes').setRequired(true).setMinValue(1).setMaxValue(5000))
+      .addRoleOption(o => o.setName('role').setDescription('Extra role to grant (member role is always granted)'))
+      .addRoleOption(o => o.setName('role2').setDescription('Another extra role to grant'))
+      .addIntegerOption(o => o.setName('months').setDescription('Membership duration; leave empty for no expiry').setMinValue(1))
+      .addIntegerOption(o => o.setName('code_expires_days').setDescription('Codes stop working after this many days').setMinValue(1))
+      .addIntegerOption(o => o.setName('max_uses').setDescription('Times each code can be used (default 1)').setMinValue(1)))
+    .addSubcommand(sc => sc
+      .setName('export')
+      .setDescription('Download the codes of a campaign as CSV')
+      .addStringOption(o => o.setName('campaign').setDescription('Campaign name').setRequired(true)))
+    .addSubcommand(sc => sc
+      .setName('list')
+      .setDescription('List campaigns and how many codes were redeemed')))
+  .addSubcommandGroup(g => g
+    .setName('templates')
+    .setDescription('Reminder and grace-period message templates')
+    .addSubcommand(sc => sc
+      .setName('show')
+      .setDescription('Show which templates are customised and the placeholders they can use')
+      .addBooleanOption(o => o.setName('reload').setDescription('Reload and validate the templates file first')))
+    .addSubcommand(sc => sc
+      .setName('preview')
+      .setDescription('Render the reminder or grace message for an order without sending it')
+      .addIntegerOption(o => o.setName('order_id').setDescription('WooCommerce order to render for').setRequired(true))
+      .addStringOption(o => o.setName('template').setDescription('Message to render (default: reminder)')
+        .addChoices({ name: 'Expiry reminder', value: 'reminder' }, { name: 'Grace period', value: 'grace' }))
+      .addIntegerOption(o => o.setName('days').setDescription('Days before expiry, for the reminder (default 1)').setMinValue(0))
+      .addStringOption(o => o.setName('language').setDescription("Language (default: the member's)")
+        .addChoices(...SUPPORTED_LANGUAGES.map(lang => ({ name: t(lang, 'language.name'), value: lang }))))))
+  .addSubcommand(sc => sc
+    .setName('coupons')
+    .setDescription('Renewal coupon conversion report')
+    .addIntegerOption(o => o.setName('days').setDescription('Only coupons issued in the last N days (default: all)').setMinValue(1))
+    .addBooleanOption(o => o.setName('refresh').setDescription('Check WooCommerce for new redemptions first')))
+  .addSubcommand(sc => sc
+    .setName('unlock')
+    .setDescription('Lift an activation lockout')
+    .addUserOption(o => o.setName('user').setDescription('Locked-out member').setRequired(true)))
+  .addSubcommand(sc => sc
+    .setName('tiers')
+    .setDescription('Show the product → role/duration mapping')
+    .addBooleanOption(o => o.setName('reload').setDescription('Reload the mapping file from disk first')))
+  .addSubcommand(sc => sc
+    .setName('apikeys')
+    .setDescription('Show the HTTP API keys and their scopes')
+    .addBooleanOption(o => o.setName('reload').setDescription('Reload and validate the API keys file first')));
+
+const slashCommands = [...memberCommands, adminCommand];
+
+async function registerSlashCommands() {
+  try {
+    await client.application.commands.set(slashCommands.map(c => c.toJSON()));
+    appendBotLog('INFO', 'Registered slash commands', { commands: slashCommands.map(c => c.name) });
+  } catch (e) {
+    appendBotLog('ERROR', 'Failed to register slash commands', { error: e.message });
+    throw e;
+  }
+}
+
 client.login(process.env.DISCORD_TOKEN);
 
 // Invite cache removed — using direct activation flow only
 
-// Webinar Implementation
-const WEBINAR_CSV_PATH = path.join(process.cwd(), 'webinar_final.csv');
-const WEBINAR_LOCK_PATH = WEBINAR_CSV_PATH + ".lock";
-
-function readWebinarCsv() {
-  if (!fs.existsSync(WEBINAR_CSV_PATH)) return [];
-  const raw = fs.readFileSync(WEBINAR_CSV_PATH, 'utf8').trim();
-  if (!raw) return [];
-
-  const [headerLine, ...lines] = raw.split('\n');
-  const headers = headerLine.split(',');
-
-  return lines.map(line => {
-    const values = line.split(',');
-    const row = {};
-    headers.forEach((h, i) => {
-      row[h.trim()] = (values[i] || '').trim();
-    });
-    return row;
-  });
-}
-
-function writeWebinarCsv(rows) {
-  if (!rows.length) return;
+// Webinar Implementation (see webinar-store.js for the CSV format and locking)
+const webinarStore = new WebinarStore();
 
-  const headers = Object.keys(rows[0]);
-  const csv =
-    headers.join(',') + '\n' +
-    rows.map(r => headers.map(h => r[h] ?? '').join(',')).join('\n');
+// UUIDs with an activation in flight in this process
+const claimLocks = new Set();
 
-  fs.writeFileSync(WEBINAR_CSV_PATH, csv, 'utf8');
+// Add a role and remember it only if the member didn't already hold it,
+// so a rollback never strips roles they had before this activation
+async function grantRoleTracked(member, roleId, grantedRoleIds) {
+  if (member.roles.cache.has(roleId)) return;
+  await member.roles.add(roleId);
+  grantedRoleIds.push(roleId);
 }
 
-// Lockfile
-const LOCK_RETRY_DELAY_MS = 100;
-const LOCK_TIMEOUT_MS = 10_000;
-
-async function acquireLock(lockPath) {
-  const start = Date.now();
-
-  while (true) {
+async function rollbackGrantedRoles(member, grantedRoleIds, context = {}) {
+  for (const roleId of grantedRoleIds) {
     try {
-      fs.writeFileSync(lockPath, process.pid.toString(), { flag: "wx" });
-      return;
-    } catch {
-      if (Date.now() - start > LOCK_TIMEOUT_MS) {
-        throw new Error("CSV lock timeout");
-      }
-      await new Promise(res => setTimeout(res, LOCK_RETRY_DELAY_MS));
+      await member.roles.remove(roleId, 'Activation rolled back');
+    } catch (e) {
+      appendBotLog('ERROR', 'Failed to roll back role after failed activation', { ...context, roleId, error: e.message });
     }
   }
+  appendBotLog('WARN', 'Activation rolled back', { ...context, roleIds: grantedRoleIds });
 }
 
-function releaseLock(lockPath) {
-  try {
-    fs.unlinkSync(lockPath);
-  } catch {}
+// --- Activation helper (shared by DM and modal flows) ---
+// Each activation runs under its own correlation ID, so its bot and WooCommerce log lines can be traced together
+function activateOrderForDiscordUser(uuid, discordUser) {
+  return runWithCorrelationId(newCorrelationId('act'), () => activateOrder(uuid, discordUser));
 }
 
-// --- Activation helper (shared by DM and modal flows) ---
-async function activateOrderForDiscordUser(uuid, discordUser) {
+async function activateOrder(uuid, discordUser) {
   // unified activation with attempt logging
   const attempt = { uuid, userId: discordUser.id, userTag: discordUser.tag, ts: new Date().toISOString() };
   let result = { success: false, code: 'UNKNOWN', orderId: null, error: null };
+  // Roles granted by this attempt; undone if the claim can't be recorded
+  let grantedMember = null;
+  const grantedRoleIds = [];
+  let claimLockHeld = false;
 
   try {
+    // Rate limits and lockouts come first: a blocked attempt never reaches the CSV or WooCommerce
+    const limit = activationLimiter.check(discordUser.id);
+    if (!limit.allowed) {
+      appendBotLog('WARN', 'Activation attempt rate limited', { userId: discordUser.id, uuid, reason: limit.reason, retryAfterMs: limit.retryAfterMs });
+      result = { success: false, code: 'RATE_LIMITED', reason: limit.reason, retryAfterMs: limit.retryAfterMs };
+      return result;
+    }
+
     // ─────────────────────────────────────────────
     // 1️⃣ CHECK WEBINAR CSV FIRST (LOCKED)
     // ─────────────────────────────────────────────
-    await acquireLock(WEBINAR_LOCK_PATH);
+    await webinarStore.acquireLock();
 
     try {
-      const webinarRows = readWebinarCsv();
+      const webinarRows = webinarStore.read();
       const webinarRow = webinarRows.find(
         r => r.activation_uuid === uuid
       );
 
       if (webinarRow) {
-        if (String(webinarRow.is_used).toLowerCase() === 'true') {
+        if (isWebinarRowUsed(webinarRow)) {
           appendBotLog('INFO', 'Webinar activation already used', {
             uuid,
             email: webinarRow.email,
@@ -179,13 +361,15 @@ async function activateOrderForDiscordUser(uuid, discordUser) {
           return result;
         }
 
-        await member.roles.add(memberRoleId);
-        await member.roles.add(lifetimeRoleId);
+        grantedMember = member;
+        await grantRoleTracked(member, memberRoleId, grantedRoleIds);
+        await grantRoleTracked(member, lifetimeRoleId, grantedRoleIds);
 
         webinarRow.is_used = 'True';
         webinarRow.discord_id = discordUser.id;
         webinarRow.discord_username = discordUser.tag;
-        writeWebinarCsv(webinarRows);
+        webinarRow.used_at = new Date().toISOString();
+        webinarStore.write(webinarRows);
 
         appendBotLog('INFO', 'Webinar activation successful', {
           userId: discordUser.id,
@@ -197,12 +381,81 @@ async function activateOrderForDiscordUser(uuid, discordUser) {
         return result;
       }
     } finally {
-      releaseLock(WEBINAR_LOCK_PATH);
+      webinarStore.releaseLock();
+    }
+
+    // ─────────────────────────────────────────────
+    // 2️⃣ GENERATED CAMPAIGN CODES
+    // ─────────────────────────────────────────────
+    if (claimLocks.has(uuid)) {
+      result = { success: false, code: 'CLAIM_PENDING' };
+      return result;
+    }
+    claimLocks.add(uuid);
+    claimLockHeld = true;
+
+    const campaignCode = campaignStore.findCode(uuid);
+    if (campaignCode) {
+      const { batch } = campaignCode;
+      const orderId = `CAMPAIGN:${batch?.campaign}`;
+      const status = campaignStore.checkRedeemable(uuid, discordUser.id);
+      if (status !== 'OK') {
+        result = { success: false, code: status, orderId };
+        return result;
+      }
+
+      const guild = await client.guilds.fetch(process.env.GUILD_ID);
+      const member = await guild.members.fetch(discordUser.id).catch(() => null);
+      if (!member) {
+        result = { success: false, code: 'NOT_IN_GUILD', orderId };
+        return result;
+      }
+
+      const memberRoleId = process.env.MEMBER_ROLE_ID;
+      if (!memberRoleId) {
+        result = { success: false, code: 'NO_ROLE_CONFIG', orderId };
+        return result;
+      }
+
+      // The batch decides the extra roles and how long the membership lasts
+      grantedMember = member;
+      await grantRoleTracked(member, memberRoleId, grantedRoleIds);
+      for (const batchRoleId of batch.roles) {
+        await grantRoleTracked(member, batchRoleId, grantedRoleIds);
+      }
+
+      let membershipExpiresAt = null;
+      if (batch.months) {
+        const expiry = getDateWithOffset(0);
+        expiry.setMonth(expiry.getMonth() + batch.months);
+        membershipExpiresAt = expiry.toISOString().slice(0, 10);
+      }
+      campaignStore.recordUse(uuid, discordUser, membershipExpiresAt);
+
+      appendBotLog('INFO', 'Campaign code activation successful', {
+        userId: discordUser.id,
+        uuid,
+        campaign: batch.campaign,
+        batchId: batch.id,
+        membershipExpiresAt
+      });
+
+      result = { success: true, code: 'OK', orderId };
+      return result;
     }
 
     // ─────────────────────────────────────────────
-    // 2️⃣ FALL THROUGH TO WOO LOGIC (UNCHANGED)
+    // 3️⃣ FALL THROUGH TO WOO LOGIC
     // ─────────────────────────────────────────────
+    // The UUID stays locked while this claim runs and while its WC write sits in the outbox
+    const pendingClaim = wcOutbox.findPendingClaim(uuid);
+    if (pendingClaim) {
+      result = pendingClaim.context.userId === discordUser.id
+        ? { success: true, code: 'OK', orderId: pendingClaim.args[0], pendingSync: true }
+        : { success: false, code: 'CLAIM_PENDING', orderId: pendingClaim.args[0] };
+      return result;
+    }
+
     const found = await woocommerce.findOrderByUUID(uuid);
     if (!found) {
       result = { success: false, code: 'NOT_FOUND' };
@@ -222,48 +475,85 @@ async function activateOrderForDiscordUser(uuid, discordUser) {
       return result;
     }
 
-    await member.roles.add(roleId);
+    grantedMember = member;
+    await grantRoleTracked(member, roleId, grantedRoleIds);
 
-    // Grant an additional lifetime role if the purchased product name contains 'lifetime' (case-insensitive)
+    // Grant any extra roles the purchased products map to (see product-config.js)
     try {
-      const lifetimeRoleId = process.env.LIFETIME_ROLE_ID;
-      const hasLifetimeProduct = (found?.order?.line_items || []).some(li => typeof li.name === 'string' && /lifetime/i.test(li.name));
-      if (hasLifetimeProduct) {
-        if (!lifetimeRoleId) {
-          appendBotLog('WARN', 'LIFETIME_ROLE_ID not configured but order indicates lifetime product', { orderId: found.orderId });
-        } else {
+      for (const tier of resolveOrderTiers(found.order)) {
+        const tierRoleIds = resolveRoleIds(tier.roles);
+        if (tier.roles.length && !tierRoleIds.length) {
+          appendBotLog('WARN', 'Tier roles not configured but order indicates tier product', { orderId: found.orderId, tier: tier.label });
+        }
+        for (const tierRoleId of tierRoleIds) {
           try {
-            await member.roles.add(lifetimeRoleId);
-            appendBotLog('INFO', 'Granted lifetime role to member', { userId: discordUser.id, orderId: found.orderId, lifetimeRoleId });
-          } catch (lrErr) {
-            appendBotLog('ERROR', 'Failed to add lifetime role', { userId: discordUser.id, orderId: found.orderId, lifetimeRoleId, error: lrErr.message });
+            await grantRoleTracked(member, tierRoleId, grantedRoleIds);
+            appendBotLog('INFO', 'Granted tier role to member', { userId: discordUser.id, orderId: found.orderId, tier: tier.label, roleId: tierRoleId });
+          } catch (trErr) {
+            appendBotLog('ERROR', 'Failed to add tier role', { userId: discordUser.id, orderId: found.orderId, tier: tier.label, roleId: tierRoleId, error: trErr.message });
           }
         }
       }
     } catch (e) {
-      appendBotLog('WARN', 'Error while checking/granting lifetime role', { error: e.message });
+      appendBotLog('WARN', 'Error while checking/granting tier roles', { error: e.message });
     }
 
+    const claimMeta = [
+      { key: 'activation_used', value: '1' },
+      { key: 'activation_used_at', value: new Date().toISOString() },
+      { key: 'discord_id', value: discordUser.id },
+      { key: 'discord_username', value: discordUser.tag }
+    ];
     try {
-      await woocommerce.updateOrderMemberData(found.orderId, [
-        { key: 'activation_used', value: '1' },
-        { key: 'activation_used_at', value: new Date().toISOString() },
-        { key: 'discord_id', value: discordUser.id },
-        { key: 'discord_username', value: discordUser.tag }
-      ]);
+      await woocommerce.updateOrderMemberData(found.orderId, claimMeta);
       result = { success: true, code: 'OK', orderId: found.orderId };
     } catch (err) {
-      appendBotLog('ERROR', 'Failed to update WC order after activation (modal/button)', { orderId: found.orderId, userId: discordUser.id, error: err.message });
-      await logCritical('Activation WC Update Failed', { orderId: found.orderId, userId: discordUser.id, error: err.message });
-      result = { success: false, code: 'WC_UPDATE_FAILED', error: err.message, orderId: found.orderId };
+      // Keep the claim: queue the write for retry; the outbox entry locks the UUID meanwhile
+      appendBotLog('ERROR', 'Failed to update WC order after activation, queued for retry', { orderId: found.orderId, userId: discordUser.id, error: err.message });
+      try {
+        wcOutbox.enqueue({
+          type: 'updateOrderMemberData',
+          args: [found.orderId, claimMeta],
+          context: { kind: 'claim', uuid: `${uuid}`, userId: discordUser.id },
+          error: err.message
+        });
+        result = { success: true, code: 'OK', orderId: found.orderId, pendingSync: true };
+      } catch (queueErr) {
+        await rollbackGrantedRoles(member, grantedRoleIds, { orderId: found.orderId, userId: discordUser.id });
+        grantedRoleIds.length = 0;
+        await logCritical('Activation WC Update Failed', { orderId: found.orderId, userId: discordUser.id, error: err.message, queueError: queueErr.message });
+        result = { success: false, code: 'WC_UPDATE_FAILED', error: err.message, orderId: found.orderId };
+        return result;
+      }
     }
+
+    // A member activating a renewal while in grace gets full access back right away
+    await restoreFullAccess(guild, discordUser.id).catch(err => {
+      appendBotLog('WARN', 'Failed to clear grace role after activation', { userId: discordUser.id, error: err.message });
+    });
   } catch (e) {
     appendBotLog('ERROR', 'Error during activation helper', { userId: discordUser.id, error: e.message });
+    if (!result.success && grantedMember && grantedRoleIds.length) {
+      await rollbackGrantedRoles(grantedMember, grantedRoleIds, { uuid, userId: discordUser.id });
+    }
     result = { success: false, code: 'ERROR', error: e.message };
   } finally {
-    // Log attempt to activation log channel if configured
+    if (claimLockHeld) claimLocks.delete(uuid);
+    activationAttempts.inc({ code: result.code });
+    // Count failures toward a lockout; staff hear about it when one kicks in
+    try {
+      if (result.code !== 'RATE_LIMITED') {
+        const limitState = activationLimiter.recordResult(discordUser.id, result.code);
+        if (limitState.lockedOut) await flagActivationLockout(discordUser, uuid, limitState);
+      }
+    } catch (limErr) {
+      appendBotLog('WARN', 'Failed to record activation attempt for rate limiting', { error: limErr.message });
+    }
+    // Log attempt to activation log channel if configured. Rate-limited attempts
+    // stay in the bot log and metrics only, so a brute-forcer can't flood the channel;
+    // staff still get the lockout alert above.
     try {
-      if (ACTIVATION_LOG_CHANNEL_ID && client.user) {
+      if (ACTIVATION_LOG_CHANNEL_ID && client.user && result.code !== 'RATE_LIMITED') {
         const ch = await client.channels.fetch(ACTIVATION_LOG_CHANNEL_ID).catch(() => null);
         if (ch?.isTextBased()) {
           const embed = new EmbedBuilder()
@@ -276,6 +566,7 @@ async function activateOrderForDiscordUser(uuid, discordUser) {
             )
             .setTimestamp();
           if (result.orderId) embed.addFields({ name: 'Order ID', value: `${result.orderId}`, inline: true });
+          embed.addFields({ name: 'Trace ID', value: `${getCorrelationId()}`, inline: true });
           if (result.error) embed.addFields({ name: 'Error', value: `${result.error}` });
           await ch.send({ embeds: [embed] }).catch(() => null);
         }
@@ -287,7 +578,146 @@ async function activateOrderForDiscordUser(uuid, discordUser) {
   }
 }
 
-// Post a persistent activation message with a button to the configured activation channel
+async function flagActivationLockout(discordUser, uuid, limitState) {
+  appendBotLog('WARN', 'User locked out of activation after repeated failures', { userId: discordUser.id, uuid, lockouts: limitState.lockouts, lockedUntil: limitState.lockedUntil });
+  try {
+    if (!ADMIN_LOG_CHANNEL_ID || !client.user) return;
+    const channel = await client.channels.fetch(ADMIN_LOG_CHANNEL_ID).catch(() => null);
+    if (!channel?.isTextBased()) return;
+
+    const embed = new EmbedBuilder()
+      .setColor(0xff9900)
+      .setTitle('🚫 Activation Lockout')
+      .setDescription('Repeated invalid or already-used codes. Use `/admin unlock` to lift it early.')
+      .addFields(
+        { name: 'User', value: `${discordUser.tag} (${discordUser.id})`, inline: true },
+        { name: 'Lockout #', value: `${limitState.lockouts}`, inline: true },
+        { name: 'Locked Until', value: `<t:${Math.floor(new Date(limitState.lockedUntil).getTime() / 1000)}:f>`, inline: true },
+        { name: 'Last Code Tried', value: `${uuid}`.slice(0, 1024) }
+      )
+      .setTimestamp()
+      .setFooter({ text: 'Activation Abuse' });
+    await channel.send({ embeds: [embed] });
+  } catch (e) {
+    appendBotLog('WARN', 'Failed to flag activation lockout', { error: e.message });
+  }
+}
+
+function retryAfterMinutes(result) {
+  return Math.max(1, Math.ceil((result.retryAfterMs || 0) / 60000));
+}
+
+// --- MEMBER LANGUAGE ---
+// A saved preference wins; otherwise the Discord client locale (interactions only),
+// then DEFAULT_LANGUAGE. DMs and scheduled messages have no locale to go on.
+function languageFor(userId, locale = null) {
+  return (userId && userPreferences.getLanguage(userId)) || normalizeLanguage(locale) || DEFAULT_LANGUAGE;
+}
+
+// Reply text for an activation result (DM aliases, modal and /activate)
+function activationReplyMessage(result, lang) {
+  // Roles are in place but the order write is still waiting in the outbox
+  const key = result.pendingSync ? 'activation.OK_PENDING' : `activation.${result.code}`;
+  return t(lang, hasMessage(key) ? key : 'activation.ERROR', { minutes: retryAfterMinutes(result) });
+}
+
+// value is a supported language, or 'auto' to go back to the client locale
+function setLanguagePreference(userId, value) {
+  if (value === 'auto') {
+    userPreferences.setLanguage(userId, null);
+    return t(languageFor(userId), 'language.reset');
+  }
+  userPreferences.setLanguage(userId, value);
+  appendBotLog('INFO', 'Member language preference saved', { userId, language: value });
+  return t(value, 'language.set', { language: t(value, 'language.name') });
+}
+
+// --- Membership status helper (shared by DM aliases and /membership) ---
+async function getMembershipStatus(discordId) {
+  const order = await woocommerce.findActiveOrderByDiscordId(discordId);
+  if (!order) return { code: 'NO_MEMBERSHIP' };
+
+  const meta = order.meta_data || [];
+  const expiryMeta = meta.find(m => m.key === 'expiry_date');
+  if (!expiryMeta || !expiryMeta.value) return { code: 'NO_EXPIRY', order };
+
+  const tzOffsetHours = parseInt(process.env.TZ_OFFSET_HOURS || '7', 10);
+  const nowAdj = new Date(Date.now() + tzOffsetHours * 60 * 60 * 1000);
+  const expiryDate = new Date(expiryMeta.value);
+  const diffMs = expiryDate.getTime() - nowAdj.getTime();
+  const daysLeft = Math.ceil(diffMs / (1000 * 60 * 60 * 24));
+  const expiryIso = expiryDate.toISOString().slice(0, 10);
+
+  return { code: 'OK', order, expiryIso, daysLeft, tzOffsetHours };
+}
+
+function membershipStatusMessage(status, lang) {
+  if (status.code !== 'OK') return t(lang, `membership.${status.code}`);
+  const { expiryIso, daysLeft, tzOffsetHours } = status;
+  return t(lang, 'membership.OK', {
+    expiryDate: expiryIso,
+    timezone: `UTC${tzOffsetHours >= 0 ? '+' : ''}${tzOffsetHours}`,
+    remaining: daysLeft >= 0
+      ? t(lang, 'membership.daysLeft', { days: daysLeft })
+      : t(lang, 'membership.expiredAgo', { days: Math.abs(daysLeft) })
+  });
+}
+
+// --- Member panel helpers (status / renew / history buttons) ---
+// The renewal link of the active membership, else of the newest linked order that had one
+async function getRenewalOption(discordId) {
+  const active = await woocommerce.findActiveOrderByDiscordId(discordId);
+  const activeTier = active ? resolveMembershipTier(active) : null;
+  if (activeTier?.renewUrl) return { code: 'OK', tier: activeTier, orderId: active.id };
+
+  const orders = await woocommerce.findOrdersByDiscordId(discordId);
+  for (const order of orders) {
+    const tier = resolveMembershipTier(order);
+    if (tier?.renewUrl) return { code: 'OK', tier, orderId: order.id };
+  }
+
+  // Non-expiring tiers and webinar codes are lifetime memberships
+  const lifetime = orders.some(o => resolveOrderTiers(o).some(tier => tier.months == null))
+    || webinarStore.read().some(r => r.discord_id === `${discordId}` && isWebinarRowUsed(r));
+  if (lifetime) return { code: 'LIFETIME' };
+  if (orders.length && process.env.DEFAULT_RENEW_URL) return { code: 'DEFAULT' };
+  return { code: 'NONE' };
+}
+
+function renewalMessage(option, lang) {
+  if (option.code === 'OK') return t(lang, 'renew.OK', { label: option.tier.label, url: option.tier.renewUrl });
+  if (option.code === 'DEFAULT') return t(lang, 'renew.DEFAULT', { url: process.env.DEFAULT_RENEW_URL });
+  return t(lang, `renew.${option.code}`);
+}
+
+const HISTORY_MAX_LINES = 15;
+
+async function buildOrderHistoryMessage(discordId, lang) {
+  const orders = await woocommerce.findOrdersByDiscordId(discordId);
+  const webinarRows = webinarStore.read().filter(r => r.discord_id === `${discordId}` && isWebinarRowUsed(r));
+
+  const lines = orders.map(order => {
+    const meta = order.meta_data || [];
+    const vars = {
+      id: order.id,
+      product: (order.line_items || []).map(li => li.name).join(', ') || '—',
+      status: order.status,
+      created: (order.date_created || '').slice(0, 10) || '—',
+      expiry: toIsoDate(meta.find(m => m.key === 'expiry_date')?.value) || '—'
+    };
+    const isOld = isTruthyMeta(meta.find(m => m.key === 'is_old')?.value);
+    return t(lang, isOld ? 'history.oldOrder' : 'history.order', vars);
+  });
+  lines.push(...webinarRows.map(r => t(lang, 'history.webinar', { code: r.activation_uuid })));
+
+  if (!lines.length) return t(lang, 'history.NONE');
+  const shown = lines.slice(0, HISTORY_MAX_LINES);
+  if (lines.length > shown.length) shown.push(t(lang, 'history.more', { count: lines.length - shown.length }));
+  return `${t(lang, 'history.header', { count: lines.length })}\n${shown.join('\n')}`.slice(0, 2000);
+}
+
+// Post a persistent activation message with a button to the configured activation channel.
+// The panel is shared by everyone, so it uses DEFAULT_LANGUAGE.
 async function postActivationMessage() {
   if (!process.env.ACTIVATION_CHANNEL_ID) return;
   try {
@@ -295,13 +725,16 @@ async function postActivationMessage() {
     if (!ch?.isTextBased()) return;
 
     const embed = new EmbedBuilder()
-      .setTitle('Aktivasi keanggotaan Crypto Teknikal Academy kamu')
-      .setDescription('Klik tombol dibawah dan isi kode aktivasi yang kamu dapatkan saat pembelian untuk mengaktivasi keanggotaan kamu')
+      .setTitle(t(DEFAULT_LANGUAGE, 'panel.title'))
+      .setDescription(t(DEFAULT_LANGUAGE, 'panel.description'))
       .setColor(0x00AAFF)
       .setTimestamp();
 
     const row = new ActionRowBuilder().addComponents(
-      new ButtonBuilder().setCustomId('open-activate-modal').setLabel('Aktivasi sekarang').setStyle(ButtonStyle.Primary)
+      new ButtonBuilder().setCustomId('open-activate-modal').setLabel(t(DEFAULT_LANGUAGE, 'panel.button')).setStyle(ButtonStyle.Primary),
+      new ButtonBuilder().setCustomId('member-status').setLabel(t(DEFAULT_LANGUAGE, 'panel.status')).setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId('member-renew').setLabel(t(DEFAULT_LANGUAGE, 'panel.renew')).setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId('member-history').setLabel(t(DEFAULT_LANGUAGE, 'panel.history')).setStyle(ButtonStyle.Secondary)
     );
 
     // Send message and keep it — admins can pin it if desired
@@ -332,6 +765,8 @@ client.on('messageCreate', async (message) => {
 
     const activateAliases = ['/activate', '.activate', '!activate', '/act', '.act', '!act'];
     const expiryAliases = ['/expiry', '.expiry', '!expiry', '/exp', '.exp', '!exp', '/expires', '.expires', '!expires', '/membership', '.membership', '!membership', '/member', '.member', '!member'];
+    const languageAliases = ['/language', '.language', '!language', '/lang', '.lang', '!lang', '/bahasa', '.bahasa', '!bahasa'];
+    const lang = languageFor(message.author.id);
 
     // Activation aliases
     for (const a of activateAliases) {
@@ -339,42 +774,20 @@ client.on('messageCreate', async (message) => {
         const parts = content.split(/\s+/);
         const uuid = parts[1];
         if (!uuid) {
-          await message.reply('Usage: /activate {UUID} — please provide the activation code you received at checkout.');
+          await message.reply(t(lang, 'activation.usage'));
           return;
         }
 
         try {
-          await message.reply('Checking your activation code...');
+          await message.reply(t(lang, 'activation.checking'));
           const result = await activateOrderForDiscordUser(uuid, message.author);
-
-          if (!result.success) {
-            switch (result.code) {
-              case 'NOT_FOUND':
-                await message.reply('No valid order found for that code, or it has already been used. If you believe this is an error, contact support.');
-                break;
-              case 'ALREADY_USED':
-                await message.reply('No valid order found for that code, or it has already been used. If you believe this is an error, contact support.');
-                break;
-              case 'NOT_IN_GUILD':
-                await message.reply('Please join the server using the permanent invite link first, then run /activate {UUID} again.');
-                break;
-              case 'NO_ROLE_CONFIG':
-                await message.reply('Server role is not configured (MEMBER_ROLE_ID). Contact the admins.');
-                break;
-              case 'WC_UPDATE_FAILED':
-                await message.reply('Activation succeeded but failed to persist to WooCommerce. Admins have been alerted.');
-                break;
-              default:
-                await message.reply('An error occurred while activating your code. Please try again later or contact support.');
-            }
-            return;
+          if (result.success) {
+            appendBotLog('INFO', 'Member activation successful', { userId: message.author.id, orderId: result.orderId });
           }
-
-          appendBotLog('INFO', 'Member activation successful', { userId: message.author.id, orderId: result.orderId });
-          await message.reply('Activation successful — your role has been granted. Welcome!');
+          await message.reply(activationReplyMessage(result, lang));
         } catch (e) {
           appendBotLog('ERROR', 'Error during activation flow', { userId: message.author.id, error: e.message });
-          await message.reply('An error occurred while activating your code. Please try again later or contact support.');
+          await message.reply(t(lang, 'activation.ERROR'));
         }
         return;
       }
@@ -386,34 +799,29 @@ client.on('messageCreate', async (message) => {
     for (const ex of expiryAliases) {
       if (contentLower.startsWith(ex)) {
         try {
-          await message.reply('Checking your membership status...');
-          const order = await woocommerce.findActiveOrderByDiscordId(message.author.id);
-          if (!order) {
-            await message.reply('No active membership found for your account. If you believe this is an error, contact support.');
-            return;
-          }
-
-          const meta = order.meta_data || [];
-          const expiryMeta = meta.find(m => m.key === 'expiry_date');
-          if (!expiryMeta || !expiryMeta.value) {
-            await message.reply('An active membership was found but no expiry date is recorded. Contact support.');
-            return;
+          await message.reply(t(lang, 'membership.checking'));
+          const status = await getMembershipStatus(message.author.id);
+          await message.reply(membershipStatusMessage(status, lang));
+          if (status.code === 'OK') {
+            appendBotLog('INFO', 'Membership expiry queried', { userId: message.author.id, orderId: status.order.id, expiry: status.expiryIso, daysLeft: status.daysLeft });
           }
-
-          const tzOffsetHours = parseInt(process.env.TZ_OFFSET_HOURS || '7', 10);
-          const nowAdj = new Date(Date.now() + tzOffsetHours * 60 * 60 * 1000);
-          const expiryDate = new Date(expiryMeta.value);
-          const diffMs = expiryDate.getTime() - nowAdj.getTime();
-          const daysLeft = Math.ceil(diffMs / (1000 * 60 * 60 * 24));
-          const expiryIso = expiryDate.toISOString().slice(0, 10);
-
-          const replyMsg = `Your membership expires on ${expiryIso} (UTC${tzOffsetHours >= 0 ? '+' : ''}${tzOffsetHours}). ${daysLeft >= 0 ? `${daysLeft} day(s) remaining.` : `Expired ${Math.abs(daysLeft)} day(s) ago.`}`;
-          await message.reply(replyMsg);
-          appendBotLog('INFO', 'Membership expiry queried', { userId: message.author.id, orderId: order.id, expiry: expiryIso, daysLeft });
         } catch (e) {
           appendBotLog('ERROR', 'Error checking membership expiry', { userId: message.author.id, error: e.message });
-          await message.reply('An error occurred while checking your membership. Try again later.');
+          await message.reply(t(lang, 'membership.error'));
+        }
+        return;
+      }
+    }
+
+    // Language preference aliases: !language id | en | auto
+    for (const l of languageAliases) {
+      if (contentLower.startsWith(l)) {
+        const choice = contentLower.split(/\s+/)[1];
+        if (choice !== 'auto' && !SUPPORTED_LANGUAGES.includes(choice)) {
+          await message.reply(t(lang, 'language.usage'));
+          return;
         }
+        await message.reply(setLanguagePreference(message.author.id, choice));
         return;
       }
     }
@@ -423,17 +831,105 @@ client.on('messageCreate', async (message) => {
 // --- INTERACTION HANDLERS (buttons + modals) ---
 client.on('interactionCreate', async (interaction) => {
   try {
+    // Slash command: /activate code:<uuid>
+    if (interaction.isChatInputCommand() && interaction.commandName === 'activate') {
+      const uuid = interaction.options.getString('code', true).trim();
+      const lang = languageFor(interaction.user.id, interaction.locale);
+      await interaction.deferReply({ ephemeral: true });
+
+      try {
+        const result = await activateOrderForDiscordUser(uuid, interaction.user);
+        if (result.success) {
+          appendBotLog('INFO', 'Member activation successful', { userId: interaction.user.id, orderId: result.orderId, via: 'slash' });
+        }
+        await interaction.editReply(activationReplyMessage(result, lang));
+      } catch (e) {
+        appendBotLog('ERROR', 'Error processing /activate command', { userId: interaction.user.id, error: e.message });
+        await interaction.editReply(t(lang, 'error.unexpected'));
+      }
+      return;
+    }
+
+    // Slash command: /admin <subcommand> (staff only)
+    if (interaction.isChatInputCommand() && interaction.commandName === 'admin') {
+      await handleAdminCommand(interaction);
+      return;
+    }
+
+    // Slash command: /membership
+    if (interaction.isChatInputCommand() && interaction.commandName === 'membership') {
+      const lang = languageFor(interaction.user.id, interaction.locale);
+      await interaction.deferReply({ ephemeral: true });
+
+      try {
+        const status = await getMembershipStatus(interaction.user.id);
+        await interaction.editReply(membershipStatusMessage(status, lang));
+        if (status.code === 'OK') {
+          appendBotLog('INFO', 'Membership expiry queried', { userId: interaction.user.id, orderId: status.order.id, expiry: status.expiryIso, daysLeft: status.daysLeft, via: 'slash' });
+        }
+      } catch (e) {
+        appendBotLog('ERROR', 'Error processing /membership command', { userId: interaction.user.id, error: e.message });
+        await interaction.editReply(t(lang, 'membership.error'));
+      }
+      return;
+    }
+
+    // Slash command: /language language:<id|en|auto>
+    if (interaction.isChatInputCommand() && interaction.commandName === 'language') {
+      const choice = interaction.options.getString('language', true);
+      await interaction.reply({ content: setLanguagePreference(interaction.user.id, choice), ephemeral: true });
+      return;
+    }
+
+    // Member panel buttons: status, renewal link, order history
+    if (interaction.isButton() && ['member-status', 'member-renew', 'member-history'].includes(interaction.customId)) {
+      const lang = languageFor(interaction.user.id, interaction.locale);
+      await interaction.deferReply({ ephemeral: true });
+      const userId = interaction.user.id;
+
+      if (interaction.customId === 'member-status') {
+        try {
+          const status = await getMembershipStatus(userId);
+          await interaction.editReply(membershipStatusMessage(status, lang));
+          if (status.code === 'OK') {
+            appendBotLog('INFO', 'Membership expiry queried', { userId, orderId: status.order.id, expiry: status.expiryIso, daysLeft: status.daysLeft, via: 'panel' });
+          }
+        } catch (e) {
+          appendBotLog('ERROR', 'Error processing panel status button', { userId, error: e.message });
+          await interaction.editReply(t(lang, 'membership.error'));
+        }
+      } else if (interaction.customId === 'member-renew') {
+        try {
+          const option = await getRenewalOption(userId);
+          await interaction.editReply(renewalMessage(option, lang));
+          appendBotLog('INFO', 'Renewal link requested', { userId, result: option.code, orderId: option.orderId, via: 'panel' });
+        } catch (e) {
+          appendBotLog('ERROR', 'Error processing panel renew button', { userId, error: e.message });
+          await interaction.editReply(t(lang, 'renew.error'));
+        }
+      } else {
+        try {
+          await interaction.editReply(await buildOrderHistoryMessage(userId, lang));
+        } catch (e) {
+          appendBotLog('ERROR', 'Error processing panel history button', { userId, error: e.message });
+          await interaction.editReply(t(lang, 'history.error'));
+        }
+      }
+      return;
+    }
+
     // Button: open the activation modal
     if (interaction.isButton() && interaction.customId === 'open-activate-modal') {
+      const lang = languageFor(interaction.user.id, interaction.locale);
       const modal = new ModalBuilder()
         .setCustomId('activate-modal')
-        .setTitle('Enter your activation code');
+        .setTitle(t(lang, 'modal.title'));
 
       const input = new TextInputBuilder()
         .setCustomId('activation_uuid')
-        .setLabel('Activation code (UUID)')
+        .setLabel(t(lang, 'modal.label'))
         .setStyle(TextInputStyle.Short)
-        .setPlaceholder('e.g. 3f6b9d7a-...')
+        .setPlaceholder(t(lang, 'modal.placeholder'))
         .setRequired(true);
 
       const row = new ActionRowBuilder().addComponents(input);
@@ -446,32 +942,13 @@ client.on('interactionCreate', async (interaction) => {
     // Modal submit: process activation
     if (interaction.isModalSubmit() && interaction.customId === 'activate-modal') {
       const uuid = interaction.fields.getTextInputValue('activation_uuid').trim();
+      const lang = languageFor(interaction.user.id, interaction.locale);
       await interaction.deferReply({ ephemeral: true });
 
       try {
         const result = await activateOrderForDiscordUser(uuid, interaction.user);
         if (!result.success) {
-          if (result.code === 'NOT_FOUND') {
-            await interaction.editReply('No valid order found for that code, or it has already been used.');
-            return;
-          }
-          if (result.code === 'ALREADY_USED') {
-            await interaction.editReply('No valid order found for that code, or it has already been used.');
-            return;
-          }
-          if (result.code === 'NOT_IN_GUILD') {
-            await interaction.editReply('You must join the server first before activating.');
-            return;
-          }
-          if (result.code === 'NO_ROLE_CONFIG') {
-            await interaction.editReply('Server not configured correctly. Contact admins.');
-            return;
-          }
-          if (result.code === 'WC_UPDATE_FAILED') {
-            await interaction.editReply('Activation succeeded but failed to persist to WooCommerce. Admins have been alerted.');
-            return;
-          }
-          await interaction.editReply('An error occurred while activating your code. Please try again later.');
+          await interaction.editReply(activationReplyMessage(result, lang));
           return;
         }
 
@@ -483,8 +960,8 @@ client.on('interactionCreate', async (interaction) => {
             const ch = await client.channels.fetch(process.env.ACTIVATION_CHANNEL_ID).catch(() => null);
             if (ch?.isTextBased()) {
               const content = showUuid
-                ? interaction.user.tag + ' submitted code: `' + uuid + '`'
-                : interaction.user.tag + ' submitted an activation code';
+                ? t(DEFAULT_LANGUAGE, 'activation.submittedCode', { user: interaction.user.tag, code: uuid })
+                : t(DEFAULT_LANGUAGE, 'activation.submitted', { user: interaction.user.tag });
               const sent = await ch.send({ content });
               // remove the message after TTL to reduce exposure
               setTimeout(() => sent.delete().catch(() => null), ttl);
@@ -494,10 +971,10 @@ client.on('interactionCreate', async (interaction) => {
           }
         }
 
-        await interaction.editReply('Activation successful — your role has been granted. Welcome!');
+        await interaction.editReply(activationReplyMessage(result, lang));
       } catch (e) {
         appendBotLog('ERROR', 'Error processing activation modal submit', { userId: interaction.user.id, error: e.message });
-        await interaction.editReply('An unexpected error occurred. Please try again later.');
+        await interaction.editReply(t(lang, 'error.unexpected'));
       }
       return;
     }
@@ -506,9 +983,67 @@ client.on('interactionCreate', async (interaction) => {
   }
 });
 
+// --- MEMBERSHIP ENTITLEMENT ---
+// What keeps a Discord account a member right now, and the roles each source
+// brings: an active order, a claimed webinar code, an active campaign grant or a
+// manual grant by staff.
+// `includeOrder: false` asks what would remain without the account's orders.
+async function resolveEntitlement(discordId, { includeOrder = true } = {}) {
+  const sources = [];
+  const roleIds = new Set([process.env.MEMBER_ROLE_ID].filter(Boolean));
+  const activeOrder = includeOrder ? await woocommerce.findActiveOrderByDiscordId(discordId) : null;
+  if (activeOrder) {
+    sources.push(`Order #${activeOrder.id}`);
+    for (const tier of resolveOrderTiers(activeOrder)) {
+      for (const roleId of resolveRoleIds(tier.roles)) roleIds.add(roleId);
+    }
+  }
+  const webinarRow = webinarStore.read().find(r => r.discord_id === `${discordId}` && isWebinarRowUsed(r));
+  if (webinarRow) {
+    sources.push(`Webinar ${webinarRow.activation_uuid}`);
+    if (process.env.LIFETIME_ROLE_ID) roleIds.add(process.env.LIFETIME_ROLE_ID);
+  }
+  for (const { batch } of campaignStore.findActiveGrantsFor(discordId)) {
+    sources.push(`Campaign ${batch?.campaign}`);
+    for (const roleId of batch?.roles || []) roleIds.add(roleId);
+  }
+  const manualGrant = manualGrants.get(`${discordId}`);
+  if (manualGrant) {
+    sources.push(`Manual grant by ${manualGrant.moderator}`);
+    if (manualGrant.lifetime && process.env.LIFETIME_ROLE_ID) roleIds.add(process.env.LIFETIME_ROLE_ID);
+  }
+  return { sources, roleIds: sources.length ? roleIds : new Set(), activeOrder, webinarRow };
+}
+
 // --- NEW MEMBER JOINS ---
+// A returning member can't re-activate (their code is already claimed), so the
+// roles of an active order, a claimed webinar code or a campaign grant come back on join
+async function restoreMembershipOnRejoin(member) {
+  if (!process.env.MEMBER_ROLE_ID) return null;
+  const discordId = member.user.id;
+
+  const { sources, roleIds } = await resolveEntitlement(discordId);
+  if (!sources.length) return null;
+
+  const missing = [...roleIds].filter(id => !member.roles.cache.has(id));
+  if (missing.length) await member.roles.add(missing, 'Rejoined with an active membership');
+  appendBotLog('INFO', 'Membership roles restored on rejoin', { userId: discordId, sources, roleIds: missing });
+  return { sources, roleIds: missing };
+}
+
 client.on("guildMemberAdd", async (member) => {
   try {
+    // Give returning members their roles back before the join is logged
+    let restored = null;
+    let restoreError = null;
+    try {
+      restored = await restoreMembershipOnRejoin(member);
+    } catch (e) {
+      restoreError = e.message;
+      appendBotLog('ERROR', 'Failed to restore membership roles on rejoin', { userId: member.user.id, error: e.message });
+      await logCritical('Rejoin Role Restore Failed', { userId: member.user.id, tag: member.user.tag, error: e.message });
+    }
+
     // Log join to audit channel (no invite detection)
     try {
       const auditChannel = await member.guild.channels.fetch(process.env.AUDIT_CHANNEL_ID);
@@ -543,6 +1078,13 @@ client.on("guildMemberAdd", async (member) => {
           if (roles) embed.addFields({ name: 'Initial Roles', value: roles, inline: false });
         }
 
+        if (restored) {
+          const restoredRoles = restored.roleIds.map(id => `<@&${id}>`).join(' ') || 'already held';
+          embed.addFields({ name: 'Membership Restored', value: `${restored.sources.join(', ')}\nRoles: ${restoredRoles}`.slice(0, 1024), inline: false });
+        } else if (restoreError) {
+          embed.addFields({ name: 'Membership Restore Failed', value: restoreError.slice(0, 1024), inline: false });
+        }
+
         await auditChannel.send({ embeds: [embed] });
         appendBotLog('INFO', 'Member join logged to audit channel', { userId: member.user.id, tag: member.user.tag });
       }
@@ -554,7 +1096,7 @@ client.on("guildMemberAdd", async (member) => {
     try {
       const welcomeChannel = await member.guild.channels.fetch(process.env.WELCOME_CHANNEL_ID);
       if (welcomeChannel?.isTextBased()) {
-        welcomeChannel.send(`👋 Welcome ${member.user}, thanks for joining!`);
+        welcomeChannel.send(t(DEFAULT_LANGUAGE, 'welcome', { user: `${member.user}` }));
       }
     } catch (e) {
       appendBotLog('WARN', 'Could not send welcome message', { error: e.message });
@@ -565,27 +1107,33 @@ client.on("guildMemberAdd", async (member) => {
 });
 
 // --- MODERATION FUNCTIONS ---
-async function logModAction(guild, action, member, reason, moderator = 'SYSTEM') {
+// `member` may be a GuildMember or a plain User (e.g. someone who already left).
+// Every action is also kept in the moderation history; `until` marks timeouts and temporary bans.
+async function logModAction(guild, action, member, reason, moderator = 'SYSTEM', { until = null } = {}) {
   try {
+    const user = member.user || member;
+    moderationHistory.record({ action, userId: user.id, userTag: user.tag, reason, moderator, until });
+
     const modLogChannel = await guild.channels.fetch(process.env.MOD_LOG_CHANNEL_ID);
     if (!modLogChannel?.isTextBased()) return;
 
     const embed = new EmbedBuilder()
       .setColor(0xff0000)
       .setTitle(`Member ${action}`)
-      .setThumbnail(member.user.displayAvatarURL())
+      .setThumbnail(user.displayAvatarURL())
       .addFields(
-        { name: 'Member', value: `${member.user.tag} (${member.user.id})`, inline: true },
+        { name: 'Member', value: `${user.tag} (${user.id})`, inline: true },
         { name: 'Action', value: action, inline: true },
         { name: 'Moderator', value: moderator, inline: true },
         { name: 'Reason', value: reason || 'No reason provided', inline: false },
-        { name: 'Joined At', value: `<t:${Math.floor(member.joinedTimestamp / 1000)}:R>`, inline: true },
-        { name: 'Account Created', value: `<t:${Math.floor(member.user.createdTimestamp / 1000)}:R>`, inline: true }
+        { name: 'Joined At', value: member.joinedTimestamp ? `<t:${Math.floor(member.joinedTimestamp / 1000)}:R>` : 'Not in server', inline: true },
+        { name: 'Account Created', value: `<t:${Math.floor(user.createdTimestamp / 1000)}:R>`, inline: true }
       )
       .setTimestamp();
+    if (until) embed.addFields({ name: 'Until', value: `<t:${Math.floor(new Date(until).getTime() / 1000)}:F>`, inline: true });
 
     await modLogChannel.send({ embeds: [embed] });
-    appendBotLog('INFO', `Moderation action: ${action}`, { memberId: member.user.id, reason, moderator });
+    appendBotLog('INFO', `Moderation action: ${action}`, { memberId: user.id, reason, moderator });
     return true;
   } catch (e) {
     appendBotLog('WARN', 'Could not log moderation action', { error: e.message });
@@ -593,7 +1141,9 @@ async function logModAction(guild, action, member, reason, moderator = 'SYSTEM')
   }
 }
 
-async function removeMember(guild, userId, reason = '', moderator = 'SYSTEM') {
+// extraRoleIds: tier roles that should go along with the membership role (e.g. on expiry)
+// keepMemberRole: only extraRoleIds go, e.g. when another membership still covers the member
+async function removeMember(guild, userId, reason = '', moderator = 'SYSTEM', extraRoleIds = [], { keepMemberRole = false } = {}) {
   try {
     const member = await guild.members.fetch(userId);
     if (!member) {
@@ -610,13 +1160,20 @@ async function removeMember(guild, userId, reason = '', moderator = 'SYSTEM') {
     // Remove role if present
     let removed = false;
     try {
-      if (member.roles.cache.has(roleId)) {
+      if (keepMemberRole) {
+        // Membership role stays; fall through to the extra roles
+      } else if (member.roles.cache.has(roleId)) {
         await member.roles.remove(roleId, reason);
         removed = true;
       } else {
         // Role not assigned; still treat as success but note it
         appendBotLog('WARN', 'Member did not have membership role', { userId });
       }
+      for (const extraRoleId of extraRoleIds) {
+        if (extraRoleId !== roleId && member.roles.cache.has(extraRoleId)) {
+          await member.roles.remove(extraRoleId, reason);
+        }
+      }
     } catch (remErr) {
       appendBotLog('ERROR', 'Could not remove membership role', { userId, roleId, error: remErr.message });
       try {
@@ -627,6 +1184,11 @@ async function removeMember(guild, userId, reason = '', moderator = 'SYSTEM') {
       return { success: false, error: remErr.message };
     }
 
+    // Losing the membership role ends a manual grant too
+    if (!keepMemberRole && manualGrants.end(userId)) {
+      appendBotLog('INFO', 'Manual membership grant ended', { userId, reason, moderator });
+    }
+
     // Record the moderation action in the mod-log (role removal)
     await logModAction(guild, 'Membership Removed', member, reason, moderator);
 
@@ -647,341 +1209,1618 @@ async function removeMember(guild, userId, reason = '', moderator = 'SYSTEM') {
   }
 }
 
-// --- MODERATION API ENDPOINTS ---
-app.post("/mod/remove", async (req, res) => {
+// manual: nothing else (an order, a code) backs this grant, so it's recorded in manualGrants
+async function grantMember(guild, userId, reason = '', moderator = 'SYSTEM', { lifetime = false, manual = true } = {}) {
   try {
-    const { user_id, reason } = req.body;
-
-    const authHeader = req.headers["x-api-key"];
-
-    // 🔒 Validate the shared secret
-    if (authHeader !== process.env.DISCORD_API_SECRET) {
-      return res.status(403).json({ success: false, error: "Unauthorized" });
+    const member = await guild.members.fetch(userId).catch(() => null);
+    if (!member) {
+      return { success: false, error: 'Member not found' };
     }
 
-    if (!user_id) {
-      return res.status(400).json({ success: false, error: 'user_id is required' });
+    const memberRoleId = process.env.MEMBER_ROLE_ID;
+    const lifetimeRoleId = process.env.LIFETIME_ROLE_ID;
+    if (!memberRoleId || (lifetime && !lifetimeRoleId)) {
+      return { success: false, error: 'Server role is not configured (MEMBER_ROLE_ID / LIFETIME_ROLE_ID)' };
     }
 
-    const guild = await client.guilds.fetch(process.env.GUILD_ID);
-    const result = await removeMember(guild, user_id, reason || 'Role removed via API', 'API');
+    await member.roles.add(memberRoleId, reason);
+    if (lifetime) await member.roles.add(lifetimeRoleId, reason);
+    if (manual) manualGrants.record(userId, { userTag: member.user.tag, lifetime, reason, moderator });
 
-    res.json(result);
-  } catch (err) {
-    console.error("❌ Error in kick API:", err);
-    res.status(500).json({ success: false, error: err.message });
-  }
-});
+    await logModAction(guild, 'Membership Granted', member, `${reason}${lifetime ? ' [lifetime]' : ''}`, moderator);
+    appendBotLog('INFO', 'Member membership role granted', { userId, lifetime, reason, moderator });
 
-function getDateWithOffset(daysFromNow = 0) {
-  const tzOffsetHours = parseInt(process.env.TZ_OFFSET_HOURS || '7', 10);
-  const date = new Date(Date.now() + tzOffsetHours * 60 * 60 * 1000);
-  date.setDate(date.getDate() + daysFromNow);
-  return date;
+    return { success: true, member: { id: member.user.id, tag: member.user.tag, lifetime } };
+  } catch (e) {
+    appendBotLog('ERROR', 'Error granting membership', { userId, error: e.message });
+    return { success: false, error: e.message };
+  }
 }
 
-function parseMembershipDuration(productName) {
-  const name = productName.toLowerCase();
-
-  if (name.includes('3 bulan')) {
-    return {
-      label: '3 Bulan',
-      months: 3,
-      renewUrl: 'https://s.id/PerpanjangCTA_3-Bulan'
-    };
-  }
+// Discord caps timeouts at 28 days
+const MAX_TIMEOUT_MS = 28 * 24 * 60 * 60 * 1000;
 
-  if (name.includes('1 tahun') || name.includes('12 bulan')) {
-    return {
-      label: '1 Tahun',
-      months: 12,
-      renewUrl: 'https://s.id/PerpanjangCTA_1-Tahun'
-    };
-  }
+async function timeoutMember(guild, userId, durationMs, reason = '', moderator = 'SYSTEM') {
+  try {
+    const member = await guild.members.fetch(userId).catch(() => null);
+    if (!member) {
+      return { success: false, error: 'Member not found' };
+    }
 
-  return null; // manual review / unknown
-}
+    await member.timeout(durationMs, reason);
+    const until = new Date(Date.now() + durationMs).toISOString();
 
-function formatDateIndonesia(date) {
-  const days = ['Minggu','Senin','Selasa','Rabu','Kamis','Jumat','Sabtu'];
-  const months = [
-    'Januari','Februari','Maret','April','Mei','Juni',
-    'Juli','Agustus','September','Oktober','November','Desember'
-  ];
+    await logModAction(guild, 'Timed Out', member, reason, moderator, { until });
+    appendBotLog('INFO', 'Member timed out', { userId, until, reason, moderator });
 
-  const d = new Date(date);
-  return `${days[d.getDay()]}, ${d.getDate()} ${months[d.getMonth()]} ${d.getFullYear()}`;
+    return { success: true, member: { id: member.user.id, tag: member.user.tag }, until };
+  } catch (e) {
+    appendBotLog('ERROR', 'Error timing out member', { userId, error: e.message });
+    return { success: false, error: e.message };
+  }
 }
 
-function buildReminderMessage({ firstName, durationLabel, expiryDateFormatted, renewUrl }) {
-  return `
-Halo ${firstName},
-
-Keanggotaan **Crypto Teknikal Academy** kamu yang berdurasi **${durationLabel}** akan habis pada esok hari, yaitu **${expiryDateFormatted}**.
-Segera lakukan perpanjang membership kamu sebelum habis!
-
-Untuk kamu yang ingin perpanjang, bisa gunakan kode voucher **MEMBER10** untuk mendapatkan diskon 10% saat perpanjang keanggotaan kamu.
+// durationMs: null for a permanent ban; temporary bans are lifted by runBanExpiry
+async function banMember(guild, userId, reason = '', moderator = 'SYSTEM', { durationMs = null, deleteMessageSeconds = 0 } = {}) {
+  try {
+    // Users who already left can be banned too; resolve them before the ban so the log has a name
+    const target = await guild.members.fetch(userId).catch(() => null) || await client.users.fetch(userId).catch(() => null);
+    if (!target) {
+      return { success: false, error: 'User not found' };
+    }
 
-👉 **Perpanjang Keanggotaan Kamu Disini**
-${renewUrl}
+    // A temporary ban carries its end time in the Discord ban reason, so the expiry
+    // job can tell its own ban from one staff put in place afterwards
+    const until = durationMs ? new Date(Date.now() + durationMs).toISOString() : null;
+    await guild.members.ban(userId, { reason: until ? `${reason} ${tempBanMarker(until)}` : reason, deleteMessageSeconds });
 
-Jika link di atas tidak bisa diklik, silakan copy & paste ke browser kamu.
-`;
-}
+    await logModAction(guild, 'Banned', target, reason, moderator, { until });
+    appendBotLog('INFO', 'User banned', { userId, until, reason, moderator });
 
-function buildEmailContent({ firstName, durationLabel, expiryDateFormatted, renewUrl }) {
-  return (
-    `<p>Halo ${firstName},</p>` +
-    `<p>Keanggotaan <strong>Crypto Teknikal Academy</strong> kamu yang berdurasi <strong>${durationLabel}</strong> akan habis pada esok hari, yaitu <strong>${expiryDateFormatted}</strong>. Segera lakukan perpanjang membership kamu sebelum habis!</p>` +
-    `<p>Untuk kamu yang ingin perpanjang, bisa gunakan kode voucher <strong>MEMBER10</strong> untuk mendapatkan diskon 10% saat perpanjang keanggotaan kamu.</p>` +
-    `<p>` +
-      `<a href="${renewUrl}" style="display:inline-block;padding:10px 18px;font-size:16px;color:#ffffff;background-color:#5865F2;text-decoration:none;border-radius:6px;">` +
-        `Perpanjang Keanggotaan Kamu Disini` +
-      `</a>` +
-    `</p>` +
-    `<p>Jika tombol di atas tidak berfungsi, bisa klik link di sini: <a href="${renewUrl}">${renewUrl}</a></p>`
-  );
+    const user = target.user || target;
+    return { success: true, member: { id: user.id, tag: user.tag }, until };
+  } catch (e) {
+    appendBotLog('ERROR', 'Error banning user', { userId, error: e.message });
+    return { success: false, error: e.message };
+  }
 }
 
-async function sendExpiryReminderEmail({
-  firstName,
-  email,
-  durationLabel,
-  expiryDateFormatted,
-  renewUrl
-}) {
-  if (!email) return { success: false, reason: 'NO_EMAIL' };
+const TRANSFER_HISTORY_META_KEY = 'discord_transfer_history';
 
-  const htmlContent = buildEmailContent({
-    firstName,
-    durationLabel,
-    expiryDateFormatted,
-    renewUrl
-  });
+// Move a membership to another Discord account: membership roles, every linked
+// non-old order, the webinar code row and campaign grants. Each order keeps a
+// history of its transfers in TRANSFER_HISTORY_META_KEY.
+async function transferMembership(guild, fromUser, toUser, reason = '', moderator = 'SYSTEM') {
+  try {
+    if (fromUser.id === toUser.id) {
+      return { success: false, error: 'Source and target are the same account' };
+    }
 
-  const body = new URLSearchParams({
-    from_name: process.env.MAIL_FROM_NAME,
-    from_email: process.env.MAIL_FROM_EMAIL,
-    recipient: email,
-    subject: '⚠️ Reminder: Keanggotaan CTA Anda Akan Habis Besok',
-    content: htmlContent,
-    attach1: '',
-    attach2: '',
-    attach3: '',
-    api_token: process.env.MAIL_API_TOKEN
-  }).toString();
+    const target = await guild.members.fetch(toUser.id).catch(() => null);
+    if (!target) {
+      return { success: false, error: `${toUser.tag} is not in the server` };
+    }
 
-  try {
-    const res = await fetch('https://api.mailketing.co.id/api/v1/send', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Content-Length': Buffer.byteLength(body).toString()
-      },
-      body
-    });
+    // Only a membership that counts today moves: an active order, a claimed
+    // webinar code or an active campaign grant, the same rule as the rejoin restore
+    const entitlement = await resolveEntitlement(fromUser.id);
+    if (!entitlement.sources.length) {
+      return { success: false, error: `No active membership is linked to ${fromUser.tag}` };
+    }
+    // Every non-old order linked to the account moves with it, so its history stays together
+    const orders = (await woocommerce.findOrdersByDiscordId(fromUser.id))
+      .filter(o => !isTruthyMeta((o.meta_data || []).find(m => m.key === 'is_old')?.value));
+    const webinarRows = webinarStore.read().filter(r => r.discord_id === fromUser.id && isWebinarRowUsed(r));
+    const grants = campaignStore.findActiveGrantsFor(fromUser.id);
+
+    // The roles the membership entitles to, plus the grace role if the old account is in grace.
+    // The old account only loses roles the new one is given; anything else (say a
+    // lifetime role granted by hand) stays where it is.
+    const source = await guild.members.fetch(fromUser.id).catch(() => null);
+    const graceRoleId = process.env.GRACE_ROLE_ID;
+    const entitledRoleIds = [...entitlement.roleIds];
+    const roleIds = graceRoleId && source?.roles.cache.has(graceRoleId) ? [...entitledRoleIds, graceRoleId] : entitledRoleIds;
+
+    const auditReason = `Membership transferred from ${fromUser.tag} to ${toUser.tag}${reason ? `: ${reason}` : ''}`;
+    for (const roleId of roleIds) {
+      if (!target.roles.cache.has(roleId)) await target.roles.add(roleId, auditReason);
+    }
+    if (source) {
+      for (const roleId of roleIds) {
+        if (source.roles.cache.has(roleId)) await source.roles.remove(roleId, auditReason);
+      }
+    }
 
-    const text = await res.text();
+    const entry = {
+      from: fromUser.id,
+      fromUsername: fromUser.tag,
+      to: toUser.id,
+      toUsername: toUser.tag,
+      at: new Date().toISOString(),
+      by: moderator,
+      reason
+    };
 
-    appendBotLog('INFO', 'Expiry reminder email sent', {
-      email,
-      response: text
-    });
+    // Failed order writes go to the outbox like any other WooCommerce write
+    const updatedOrderIds = [];
+    const queuedOrderIds = [];
+    for (const order of orders) {
+      const history = (order.meta_data || []).find(m => m.key === TRANSFER_HISTORY_META_KEY)?.value;
+      const meta = [
+        { key: 'discord_id', value: toUser.id },
+        { key: 'discord_username', value: toUser.tag },
+        { key: TRANSFER_HISTORY_META_KEY, value: [...(Array.isArray(history) ? history : []), entry] }
+      ];
+      try {
+        await woocommerce.updateOrderMemberData(order.id, meta);
+        updatedOrderIds.push(order.id);
+      } catch (err) {
+        appendBotLog('ERROR', 'Failed to update order during transfer, queued for retry', { orderId: order.id, error: err.message });
+        wcOutbox.enqueue({
+          type: 'updateOrderMemberData',
+          args: [order.id, meta],
+          context: { kind: 'transfer', from: fromUser.id, to: toUser.id },
+          error: err.message
+        });
+        queuedOrderIds.push(order.id);
+      }
+    }
 
-    return { success: true };
+    let webinarCodes = 0;
+    if (webinarRows.length) {
+      await webinarStore.withLock(rows => {
+        for (const row of rows) {
+          if (row.discord_id !== fromUser.id || !isWebinarRowUsed(row)) continue;
+          row.discord_id = toUser.id;
+          row.discord_username = toUser.tag;
+          row.transfer_history = [row.transfer_history, `${fromUser.id}>${toUser.id}@${entry.at}`].filter(Boolean).join(';');
+          webinarCodes++;
+        }
+        return { write: webinarCodes > 0 };
+      });
+    }
+
+    const campaignGrants = campaignStore.reassignGrants(fromUser.id, toUser).length;
+    const manualGrant = manualGrants.get(fromUser.id);
+    if (manualGrant) {
+      manualGrants.record(toUser.id, { ...manualGrant, userTag: toUser.tag, reason: `${manualGrant.reason} (transferred from ${fromUser.tag})` });
+      manualGrants.end(fromUser.id);
+    }
+
+    const orderIds = [...updatedOrderIds, ...queuedOrderIds];
+    const summary = [
+      orderIds.length ? `orders ${orderIds.map(id => `#${id}`).join(', ')}` : null,
+      webinarCodes ? `${webinarCodes} webinar code(s)` : null,
+      campaignGrants ? `${campaignGrants} campaign grant(s)` : null,
+      manualGrant ? 'manual grant' : null
+    ].filter(Boolean).join(', ');
+    await logModAction(guild, 'Membership Transferred', target, `${auditReason} — ${summary}`, moderator);
+    appendBotLog('INFO', 'Membership transferred', { from: fromUser.id, to: toUser.id, roleIds, updatedOrderIds, queuedOrderIds, webinarCodes, campaignGrants, moderator });
+
+    return { success: true, roleIds, updatedOrderIds, queuedOrderIds, webinarCodes, campaignGrants, summary };
+  } catch (e) {
+    appendBotLog('ERROR', 'Error transferring membership', { from: fromUser.id, to: toUser.id, error: e.message });
+    return { success: false, error: e.message };
+  }
+}
+
+// --- ADMIN SLASH COMMANDS ---
+// Staff = Manage Roles permission, or the optional ADMIN_ROLE_ID role
+function isStaff(interaction) {
+  if (interaction.memberPermissions?.has(PermissionFlagsBits.ManageRoles)) return true;
+  const adminRoleId = process.env.ADMIN_ROLE_ID;
+  return Boolean(adminRoleId && interaction.member?.roles?.cache?.has(adminRoleId));
+}
+
+function moderatorLabel(user) {
+  return `${user.tag} (${user.id})`;
+}
+
+function orderMetaValue(order, key) {
+  return (order?.meta_data || []).find(m => m.key === key)?.value;
+}
+
+async function handleAdminCommand(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  if (!interaction.inGuild() || !isStaff(interaction)) {
+    appendBotLog('WARN', 'Unauthorized /admin attempt', { userId: interaction.user.id });
+    await interaction.editReply('You do not have permission to use this command.');
+    return;
+  }
+
+  const group = interaction.options.getSubcommandGroup(false);
+  const sub = interaction.options.getSubcommand();
+  const moderator = moderatorLabel(interaction.user);
+
+  try {
+    const guild = await client.guilds.fetch(process.env.GUILD_ID);
+
+    if (group === 'webinar' && sub === 'import') {
+      const file = interaction.options.getAttachment('file', true);
+      if (file.size > WEBINAR_IMPORT_MAX_BYTES) {
+        await interaction.editReply(`File too large (max ${WEBINAR_IMPORT_MAX_BYTES / 1024 / 1024} MB).`);
+        return;
+      }
+      const res = await fetch(file.url);
+      if (!res.ok) throw new Error(`Could not download attachment (HTTP ${res.status})`);
+
+      const summary = await webinarStore.importCsv(await res.text());
+      appendBotLog('INFO', 'Webinar batch imported', { moderator, file: file.name, ...summary });
+      await logModAction(guild, 'Webinar Import', interaction.user, `${file.name}: ${formatWebinarImportSummary(summary)}`, moderator);
+      await interaction.editReply(`Imported \`${file.name}\` — ${formatWebinarImportSummary(summary)}.`);
+      return;
+    }
+
+    if (group === 'codes' && sub === 'create') {
+      const roles = ['role', 'role2'].map(n => interaction.options.getRole(n)?.id).filter(Boolean);
+      const unassignable = await findUnassignableRoles(guild, roles);
+      if (unassignable.length) {
+        await interaction.editReply(`The bot can't grant these roles: ${unassignable.join(', ')}.`);
+        return;
+      }
+      const codeExpiresDays = interaction.options.getInteger('code_expires_days');
+      const { batch, codes } = campaignStore.createBatch({
+        campaign: interaction.options.getString('campaign', true).trim(),
+        count: interaction.options.getInteger('count', true),
+        roles,
+        months: interaction.options.getInteger('months'),
+        codeExpiresAt: codeExpiresDays ? new Date(Date.now() + codeExpiresDays * 24 * 60 * 60 * 1000) : null,
+        maxUses: interaction.options.getInteger('max_uses') || 1,
+        createdBy: moderator
+      });
+      appendBotLog('INFO', 'Code batch created', { moderator, batchId: batch.id, campaign: batch.campaign, count: codes.length });
+      await logModAction(guild, 'Code Batch Created', interaction.user, `${batch.campaign} — ${codes.length} codes (batch ${batch.id})`, moderator);
+      await interaction.editReply({
+        content: `Created ${codes.length} codes for **${batch.campaign}** (batch \`${batch.id}\`, ${batch.months ? `${batch.months} months` : 'no expiry'}, max ${batch.maxUses} use(s) each).`,
+        files: [new AttachmentBuilder(Buffer.from(campaignStore.exportCsv({ batchId: batch.id }), 'utf8'), { name: `codes-${batch.campaign}-${batch.id}.csv` })]
+      });
+      return;
+    }
+
+    if (group === 'codes' && sub === 'export') {
+      const campaign = interaction.options.getString('campaign', true).trim();
+      await interaction.editReply({
+        content: `Codes for **${campaign}**:`,
+        files: [new AttachmentBuilder(Buffer.from(campaignStore.exportCsv({ campaign }), 'utf8'), { name: `codes-${campaign}.csv` })]
+      });
+      await logModAction(guild, 'Code Export', interaction.user, `Exported campaign ${campaign}`, moderator);
+      return;
+    }
+
+    if (group === 'codes' && sub === 'list') {
+      const campaigns = campaignStore.listCampaigns();
+      await interaction.editReply(campaigns.length
+        ? campaigns.map(c => `• **${c.campaign}** — ${c.batches} batch(es), ${c.codes} codes, ${c.redeemed} redemption(s)`).join('\n').slice(0, 2000)
+        : 'No campaigns yet.');
+      return;
+    }
+
+    if (group === 'templates' && sub === 'show') {
+      if (interaction.options.getBoolean('reload')) {
+        // A rejected file leaves the last good templates in place
+        try {
+          loadMessageTemplates();
+        } catch (err) {
+          appendBotLog('WARN', 'Message templates reload rejected', { moderator, error: err.message });
+          await interaction.editReply(`Reload failed, still using \`${getMessageTemplatesSource()}\`: ${err.message}`.slice(0, 2000));
+          return;
+        }
+        appendBotLog('INFO', 'Message templates reloaded', { moderator, source: getMessageTemplatesSource() });
+      }
+
+      const overridden = listTemplateOverrides();
+      const lines = Object.entries(TEMPLATE_VARIABLES).map(([key, vars]) => {
+        const custom = SUPPORTED_LANGUAGES.filter(lang => overridden[lang].includes(key));
+        return `• \`${key}\` — ${custom.length ? `custom: ${custom.join(', ')}` : 'default'} — ${vars.map(v => `{${v}}`).join(' ')}`;
+      });
+      await interaction.editReply(`Source: \`${getMessageTemplatesSource()}\` — voucher: **${getRenewalVoucher() || 'none'}** (${getRenewalVoucherPercent()}%)\n${lines.join('\n')}`.slice(0, 2000));
+      return;
+    }
+
+    if (group === 'templates' && sub === 'preview') {
+      const orderId = interaction.options.getInteger('order_id', true);
+      const order = await woocommerce.getOrder(orderId);
+      if (!order) {
+        await interaction.editReply(`Order #${orderId} not found.`);
+        return;
+      }
+
+      const preview = renderTemplatePreview(order, {
+        template: interaction.options.getString('template') || 'reminder',
+        days: interaction.options.getInteger('days') ?? 1,
+        language: interaction.options.getString('language')
+      });
+      if (!preview.success) {
+        await interaction.editReply(preview.error);
+        return;
+      }
+
+      const header = `**${preview.template}** preview for order #${orderId} (${preview.language})${preview.subject ? `\nSubject: ${preview.subject}` : ''}`;
+      await interaction.editReply({
+        content: `${header}\n\n${preview.dm}`.slice(0, 2000),
+        files: preview.emailHtml
+          ? [new AttachmentBuilder(Buffer.from(preview.emailHtml, 'utf8'), { name: `reminder-${orderId}-${preview.language}.html` })]
+          : []
+      });
+      return;
+    }
+
+    if (group === 'webinar' && sub === 'export') {
+      const csv = webinarStore.export();
+      await interaction.editReply({
+        content: 'Webinar codes export:',
+        files: [new AttachmentBuilder(Buffer.from(csv, 'utf8'), { name: `webinar-codes-${new Date().toISOString().slice(0, 10)}.csv` })]
+      });
+      await logModAction(guild, 'Webinar Export', interaction.user, 'Exported webinar codes', moderator);
+      return;
+    }
+
+    if (sub === 'lookup') {
+      const user = interaction.options.getUser('user');
+      const code = interaction.options.getString('code')?.trim();
+      if (!user && !code) {
+        await interaction.editReply('Provide either `user` or `code`.');
+        return;
+      }
+
+      const { embed, subjectId } = user ? await buildMemberLookupEmbed(user) : await buildCodeLookupEmbed(code);
+      await interaction.editReply({ embeds: [embed] });
+      // Record the lookup against the member (or whoever claimed the code)
+      const subject = subjectId ? await client.users.fetch(subjectId).catch(() => null) : null;
+      if (subject) await logModAction(guild, 'Lookup', subject, code ? `Code lookup: ${code}` : 'Membership lookup', moderator);
+      appendBotLog('INFO', 'Admin lookup', { moderator, userId: user?.id, code });
+      return;
+    }
+
+    if (sub === 'revoke') {
+      const user = interaction.options.getUser('user', true);
+      const reason = interaction.options.getString('reason') || 'Membership revoked by staff';
+      // removeMember records the mod-log entry itself
+      const result = await removeMember(guild, user.id, reason, moderator);
+      await interaction.editReply(result.success
+        ? `Membership role removed from ${user.tag}.`
+        : `Could not revoke ${user.tag}: ${result.error}`);
+      return;
+    }
+
+    if (sub === 'grant') {
+      const user = interaction.options.getUser('user', true);
+      const orderId = interaction.options.getInteger('order_id');
+      const lifetime = interaction.options.getBoolean('lifetime') || false;
+      const reason = interaction.options.getString('reason') || 'Membership granted by staff';
+      const override = interaction.options.getBoolean('override') || false;
+
+      // Check the order before any role changes, so a bad link never leaves half a grant behind
+      if (orderId) {
+        const order = await woocommerce.getOrder(orderId);
+        if (!order) {
+          await interaction.editReply(`Order #${orderId} was not found.`);
+          return;
+        }
+        const claimedBy = orderMetaValue(order, 'discord_id');
+        const alreadyLinked = claimedBy && `${claimedBy}` === user.id;
+        if (!isClaimableOrder(order) && !alreadyLinked && !override) {
+          await interaction.editReply(claimedBy
+            ? `Order #${orderId} is already claimed by <@${claimedBy}>. Use \`override: true\` to relink it, or \`/admin transfer\` to move a whole membership.`
+            : `Order #${orderId} is finished or already activated. Use \`override: true\` to link it anyway.`);
+          return;
+        }
+      }
+
+      // grantMember records the mod-log entry itself
+      const result = await grantMember(guild, user.id, `${reason}${orderId ? ` (order #${orderId}${override ? ', override' : ''})` : ''}`, moderator, { lifetime, manual: !orderId });
+      if (!result.success) {
+        await interaction.editReply(`Could not grant membership to ${user.tag}: ${result.error}`);
+        return;
+      }
+
+      let linkQueued = false;
+      if (orderId) {
+        const claimMeta = [
+          { key: 'activation_used', value: '1' },
+          { key: 'activation_used_at', value: new Date().toISOString() },
+          { key: 'discord_id', value: user.id },
+          { key: 'discord_username', value: user.tag }
+        ];
+        try {
+          await woocommerce.updateOrderMemberData(orderId, claimMeta);
+        } catch (err) {
+          // The roles stay; the link is retried from the outbox like a failed activation write
+          appendBotLog('ERROR', 'Failed to link order after manual grant, queued for retry', { orderId, userId: user.id, error: err.message });
+          wcOutbox.enqueue({
+            type: 'updateOrderMemberData',
+            args: [orderId, claimMeta],
+            context: { kind: 'grant', userId: user.id },
+            error: err.message
+          });
+          linkQueued = true;
+        }
+      }
+
+      await interaction.editReply(
+        `Granted membership to ${user.tag}${lifetime ? ' (with lifetime role)' : ''}${orderId ? ` and linked order #${orderId}` : ''}.` +
+        (linkQueued ? ' The order update failed and is queued in the outbox for retry.' : '')
+      );
+      return;
+    }
+
+    if (sub === 'transfer') {
+      const fromUser = interaction.options.getUser('from', true);
+      const toUser = interaction.options.getUser('to', true);
+      const reason = interaction.options.getString('reason') || '';
+      // transferMembership records the mod-log entry itself
+      const result = await transferMembership(guild, fromUser, toUser, reason, moderator);
+      if (!result.success) {
+        await interaction.editReply(`Could not transfer: ${result.error}`);
+        return;
+      }
+      await interaction.editReply(
+        `Moved the membership of ${fromUser.tag} to ${toUser.tag}: ${result.summary}; ${result.roleIds.length} role(s).` +
+        (result.queuedOrderIds.length ? ` Orders ${result.queuedOrderIds.map(id => `#${id}`).join(', ')} are queued in the outbox and will be updated on retry.` : '')
+      );
+      return;
+    }
+
+    if (sub === 'run') {
+      const job = interaction.options.getString('job', true);
+      const dryRun = interaction.options.getBoolean('dry_run') ?? true;
+      appendBotLog('INFO', 'Admin triggered job', { moderator, job, dryRun });
+
+      const result = job === 'expiry-check'
+        ? await runExpiryCheck({ dryRun })
+        : await runExpiryReminder({ dryRun });
+      await logModAction(guild, dryRun ? `Job Dry Run: ${job}` : `Job Run: ${job}`, interaction.user, `${result.count ?? 0} orders`, moderator);
+
+      if (!result.success) {
+        await interaction.editReply(`\`${job}\` failed: ${result.error}`);
+        return;
+      }
+      const details = job === 'expiry-check'
+        ? `removals: ${result.removed}, renewals: ${result.renewed}, grace: ${result.inGrace}`
+        : result.stages.map(st => `${st.stage}: ${st.count}`).join(', ');
+      await interaction.editReply(`\`${job}\`${dryRun ? ' dry run' : ''} done — ${result.count} orders (${details}).${dryRun ? ' Full plan posted to the admin log channel.' : ''}`);
+      return;
+    }
+
+    if (sub === 'reconcile') {
+      const choice = interaction.options.getString('fix') || 'none';
+      const fix = choice === 'all' ? RECONCILE_FIXABLE : RECONCILE_FIXABLE.filter(c => c === choice);
+      appendBotLog('INFO', 'Admin triggered role reconciliation', { moderator, fix });
+
+      const result = await runRoleReconciliation({ fix, moderator });
+      if (!result.success) {
+        await interaction.editReply(`Reconciliation failed: ${result.error}`);
+        return;
+      }
+      await logModAction(guild, 'Role Reconciliation', interaction.user, `${Object.entries(result.counts).map(([c, n]) => `${c}: ${n}`).join(', ')}${fix.length ? ` (fixed: ${fix.join(', ')})` : ''}`, moderator);
+      const { counts } = result;
+      await interaction.editReply(`Reconciliation done — missing role: ${counts.missing_role}, role without membership: ${counts.no_membership}, not in server: ${counts.not_in_server}${fix.length ? ` (fixed: ${fix.join(', ')})` : ''}. Full report posted to the admin log channel.`);
+      return;
+    }
+
+    if (sub === 'outbox') {
+      const doneId = interaction.options.getString('done');
+      const discardId = interaction.options.getString('discard');
+      if (doneId || discardId) {
+        const item = wcOutbox.resolve((doneId || discardId).trim());
+        if (!item) {
+          await interaction.editReply(`No outbox item matches \`${doneId || discardId}\`.`);
+          return;
+        }
+        const action = doneId ? 'Outbox Item Marked Done' : 'Outbox Item Discarded';
+        const details = `\`${item.type}\` order #${item.args[0]} after ${item.attempts} attempt(s)${item.lastError ? ` (last error: ${item.lastError.slice(0, 200)})` : ''}`;
+        await logModAction(guild, action, interaction.user, details, moderator);
+        appendBotLog('INFO', action, { moderator, id: item.id, type: item.type, args: item.args, context: item.context });
+        await interaction.editReply(`${doneId ? 'Marked done' : 'Discarded'}: ${details}.`);
+        return;
+      }
+
+      if (interaction.options.getBoolean('retry')) {
+        const summary = await runOutboxRetry({ force: true });
+        await logModAction(guild, 'Outbox Retry', interaction.user, `${summary.succeeded?.length || 0} applied, ${summary.failed?.length || 0} still failing`, moderator);
+      }
+
+      const items = wcOutbox.list();
+      if (!items.length) {
+        await interaction.editReply('Outbox is empty — all WooCommerce writes are applied.');
+        return;
+      }
+      const lines = items.map(i => {
+        const who = i.context?.userId || i.context?.discordId;
+        return `• ${wcOutbox.isStuck(i) ? '🔴 STUCK' : '🟡'} \`${i.id.slice(0, 8)}\` \`${i.type}\` order #${i.args[0]}${who ? ` (<@${who}>)` : ''} | attempts: ${i.attempts} | next: <t:${Math.floor(new Date(i.nextAttemptAt).getTime() / 1000)}:R>${i.lastError ? ` | ${i.lastError.slice(0, 120)}` : ''}`;
+      });
+      await interaction.editReply(`**WooCommerce outbox (${items.length})**\n${lines.join('\n')}`.slice(0, 2000));
+      return;
+    }
+
+    if (sub === 'unlock') {
+      const user = interaction.options.getUser('user', true);
+      const lifted = activationLimiter.unlock(user.id);
+      if (lifted) await logModAction(guild, 'Activation Unlocked', user, 'Activation lockout lifted', moderator);
+      await interaction.editReply(lifted
+        ? `Activation lockout lifted for ${user.tag}.`
+        : `${user.tag} has no activation lockout or failure history.`);
+      return;
+    }
+
+    if (sub === 'coupons') {
+      if (interaction.options.getBoolean('refresh')) await runCouponRedemptionCheck();
+      const days = interaction.options.getInteger('days');
+      const since = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null;
+      await interaction.editReply(formatCouponReport(renewalCoupons.report({ since })).slice(0, 2000));
+      return;
+    }
+
+    if (sub === 'tiers') {
+      if (interaction.options.getBoolean('reload')) {
+        loadProductConfig();
+        appendBotLog('INFO', 'Product config reloaded', { moderator, source: getProductConfigSource() });
+      }
+
+      const lines = getProductTiers().map(t => {
+        const match = Object.entries(t.match).map(([k, v]) => `${k}=${v}`).join(' & ');
+        const roles = resolveRoleIds(t.roles).map(id => `<@&${id}>`).join(' ') || '—';
+        return `• **${t.label}** [${match}] — ${t.months ? `${t.months} bulan` : 'lifetime'} — roles: ${roles}${t.renewUrl ? ` — ${t.renewUrl}` : ''}`;
+      });
+      await interaction.editReply(`Source: \`${getProductConfigSource()}\`\n${lines.join('\n') || 'No tiers configured.'}`.slice(0, 2000));
+      return;
+    }
+
+    if (sub === 'apikeys') {
+      if (interaction.options.getBoolean('reload')) {
+        // A rejected file leaves the current keys in place
+        try {
+          loadApiKeys();
+        } catch (err) {
+          appendBotLog('WARN', 'API keys reload rejected', { moderator, error: err.message });
+          await interaction.editReply(`Reload failed, still using \`${getApiKeysSource()}\`: ${err.message}`.slice(0, 2000));
+          return;
+        }
+        appendBotLog('INFO', 'API keys reloaded', { moderator, source: getApiKeysSource() });
+      }
+
+      const lines = listApiKeys().map(k => `• **${k.name}** — ${k.scopes.join(', ')}${k.allowUnsigned ? ' — unsigned allowed' : ''}`);
+      await interaction.editReply(`Source: \`${getApiKeysSource()}\`\n${lines.join('\n') || 'No keys configured; the HTTP API rejects every request.'}`.slice(0, 2000));
+      return;
+    }
+
+    if (sub === 'extend') {
+      const user = interaction.options.getUser('user', true);
+      const days = interaction.options.getInteger('days', true);
+      const reason = interaction.options.getString('reason') || 'Membership extended by staff';
+
+      const order = await woocommerce.findActiveOrderByDiscordId(user.id);
+      if (!order) {
+        await interaction.editReply(`No active order is linked to ${user.tag}.`);
+        return;
+      }
+
+      const currentExpiry = orderMetaValue(order, 'expiry_date');
+      if (!currentExpiry || isNaN(new Date(currentExpiry).getTime())) {
+        await interaction.editReply(`Order #${order.id} has no valid expiry_date to extend.`);
+        return;
+      }
+
+      const newExpiry = new Date(currentExpiry);
+      newExpiry.setUTCDate(newExpiry.getUTCDate() + days);
+      // Keep the stored format: date-only values stay date-only, timestamps stay full ISO
+      const newExpiryIso = /^\d{4}-\d{2}-\d{2}$/.test(`${currentExpiry}`.trim())
+        ? newExpiry.toISOString().slice(0, 10)
+        : newExpiry.toISOString();
+
+      await woocommerce.updateOrderMemberData(order.id, [{ key: 'expiry_date', value: newExpiryIso }]);
+      await logModAction(guild, 'Membership Extended', user, `${reason} (order #${order.id}: ${currentExpiry} → ${newExpiryIso}, +${days}d)`, moderator);
+      await interaction.editReply(`Extended order #${order.id} for ${user.tag} by ${days} day(s): ${currentExpiry} → ${newExpiryIso}.`);
+      return;
+    }
+  } catch (e) {
+    appendBotLog('ERROR', 'Error handling /admin command', { sub, moderator, error: e.message });
+    await interaction.editReply(`Error: ${e.message}`).catch(() => null);
+  }
+}
+
+// Roles a code batch grants must exist and be below the bot's own role, or every redemption would fail
+async function findUnassignableRoles(guild, roleIds) {
+  const problems = [];
+  for (const roleId of roleIds) {
+    const role = await guild.roles.fetch(roleId).catch(() => null);
+    if (!role) problems.push(`${roleId} (not found)`);
+    else if (role.id === guild.id || role.managed) problems.push(`${role.name} (managed by Discord or an integration)`);
+    else if (!role.editable) problems.push(`${role.name} (above the bot's highest role)`);
+  }
+  return problems;
+}
+
+const WEBINAR_IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+
+function formatWebinarImportSummary(summary) {
+  return `${summary.added} added, ${summary.updated} updated, ${summary.skippedClaimed} claimed skipped, ${summary.skippedInvalid} invalid skipped (${summary.total} total)`;
+}
+
+async function buildMemberLookupEmbed(user) {
+  const embed = new EmbedBuilder()
+    .setColor(0x0099ff)
+    .setTitle('Membership Lookup')
+    .addFields({ name: 'Member', value: `${user.tag} (${user.id})` })
+    .setTimestamp();
+
+  const order = await woocommerce.findActiveOrderByDiscordId(user.id);
+  if (order) {
+    const products = (order.line_items || []).map(li => li.name).join(', ') || 'N/A';
+    embed.addFields(
+      { name: 'Order ID', value: `${order.id}`, inline: true },
+      { name: 'Status', value: `${order.status}`, inline: true },
+      { name: 'Expiry', value: `${orderMetaValue(order, 'expiry_date') || 'N/A'}`, inline: true },
+      { name: 'Activated At', value: `${orderMetaValue(order, 'activation_used_at') || 'N/A'}`, inline: true },
+      { name: 'Products', value: products.slice(0, 1024) }
+    );
+  }
+
+  const webinarRow = webinarStore.read().find(r => r.discord_id === user.id);
+  if (webinarRow) {
+    embed.addFields({ name: 'Webinar Code', value: `${webinarRow.activation_uuid} (${webinarRow.email || 'no email'})` });
+  }
+
+  const limitState = activationLimiter.status(user.id);
+  if (limitState?.lockedUntil && new Date(limitState.lockedUntil) > new Date()) {
+    embed.addFields({ name: 'Activation Lockout', value: `Until <t:${Math.floor(new Date(limitState.lockedUntil).getTime() / 1000)}:f> (lockout #${limitState.lockouts})` });
+  }
+
+  if (!order && !webinarRow) {
+    embed.setDescription('No active order or webinar code is linked to this member.');
+  }
+  return { embed, subjectId: user.id };
+}
+
+async function buildCodeLookupEmbed(code) {
+  const embed = new EmbedBuilder()
+    .setColor(0x0099ff)
+    .setTitle('Activation Code Lookup')
+    .addFields({ name: 'Code', value: code })
+    .setTimestamp();
+
+  const webinarRow = webinarStore.read().find(r => r.activation_uuid === code);
+  if (webinarRow) {
+    const claimed = isWebinarRowUsed(webinarRow);
+    embed.addFields(
+      { name: 'Source', value: 'Webinar CSV', inline: true },
+      { name: 'Email', value: webinarRow.email || 'N/A', inline: true },
+      { name: 'Claimed By', value: claimed ? `${webinarRow.discord_username || 'unknown'} (${webinarRow.discord_id || 'N/A'})` : 'Not claimed' }
+    );
+    return { embed, subjectId: claimed ? webinarRow.discord_id : null };
+  }
+
+  const orders = await woocommerce.findOrdersByUUID(code);
+  if (!orders.length) {
+    embed.setDescription('No order or webinar row uses this code.');
+    return { embed, subjectId: null };
+  }
+
+  for (const order of orders.slice(0, 5)) {
+    const discordId = orderMetaValue(order, 'discord_id');
+    embed.addFields({
+      name: `Order #${order.id} (${order.status})`,
+      value: discordId
+        ? `Claimed by ${orderMetaValue(order, 'discord_username') || 'unknown'} (${discordId}) at ${orderMetaValue(order, 'activation_used_at') || 'N/A'}`
+        : 'Not claimed'
+    });
+  }
+  return { embed, subjectId: orders.map(o => orderMetaValue(o, 'discord_id')).find(Boolean) || null };
+}
+
+// --- API AUTH ---
+// Every API route is guarded by requireScope; accepted calls are audit-logged
+// with the name of the key that made them, rejected ones with the reason.
+function requireScope(scope) {
+  return (req, res, next) => {
+    const request = { method: req.method, path: req.originalUrl, scope, ip: req.ip };
+    let auth;
+    try {
+      auth = authenticateRequest({ headers: req.headers, method: req.method, path: req.originalUrl, rawBody: req.rawBody });
+    } catch (e) {
+      appendBotLog('ERROR', 'API key registry failed to load', { ...request, error: e.message });
+      return res.status(500).json({ success: false, error: 'API keys are misconfigured' });
+    }
+
+    if (auth.error) {
+      appendBotLog('WARN', 'API request rejected', { ...request, key: auth.keyName || null, reason: auth.error });
+      return res.status(403).json({ success: false, error: auth.error });
+    }
+    if (!hasScope(auth.key, scope)) {
+      appendBotLog('WARN', 'API request rejected', { ...request, key: auth.key.name, reason: `missing scope ${scope}` });
+      return res.status(403).json({ success: false, error: `Key "${auth.key.name}" lacks the ${scope} scope` });
+    }
+
+    req.apiKey = auth.key;
+    const startedAt = Date.now();
+    res.on('finish', () => {
+      appendBotLog('INFO', 'API request', { ...request, key: auth.key.name, status: res.statusCode, durationMs: Date.now() - startedAt });
+    });
+    next();
+  };
+}
+
+// Moderator label for actions taken through the API
+function apiModerator(req) {
+  return `API (${req.apiKey.name})`;
+}
+
+// --- MODERATION API ENDPOINTS ---
+app.post('/mod/remove', requireScope('mod:write'), async (req, res) => {
+  try {
+    const { user_id, reason } = req.body;
+
+    if (!user_id) {
+      return res.status(400).json({ success: false, error: 'user_id is required' });
+    }
+
+    const guild = await client.guilds.fetch(process.env.GUILD_ID);
+    const result = await removeMember(guild, user_id, reason || 'Role removed via API', apiModerator(req));
+
+    res.json(result);
   } catch (err) {
+    appendBotLog('ERROR', 'Error in /mod/remove endpoint', { error: err.message });
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Discord user IDs are snowflakes
+function isDiscordId(value) {
+  return typeof value === 'string' && /^\d{17,20}$/.test(value);
+}
+
+// Discord truncates audit-log reasons past 512 characters
+function reasonError(reason) {
+  return reason != null && (typeof reason !== 'string' || reason.length > 512) ? 'reason must be a string of at most 512 characters' : null;
+}
+
+const MAX_BULK_USERS = 100;
+
+app.post('/mod/grant', requireScope('mod:write'), async (req, res) => {
+  try {
+    const { user_id, reason, lifetime = false } = req.body || {};
+    if (!isDiscordId(user_id)) {
+      return res.status(400).json({ success: false, error: 'user_id must be a Discord user ID' });
+    }
+    if (typeof lifetime !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'lifetime must be a boolean' });
+    }
+    if (reasonError(reason)) {
+      return res.status(400).json({ success: false, error: reasonError(reason) });
+    }
+
+    const guild = await client.guilds.fetch(process.env.GUILD_ID);
+    const result = await grantMember(guild, user_id, reason || 'Membership granted via API', apiModerator(req), { lifetime });
+    return res.json(result);
+  } catch (e) {
+    appendBotLog('ERROR', 'Error in /mod/grant endpoint', { error: e.message });
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// { user_id, duration_minutes (1 to 28 days), reason }
+app.post('/mod/timeout', requireScope('mod:write'), async (req, res) => {
+  try {
+    const { user_id, duration_minutes, reason } = req.body || {};
+    const maxMinutes = MAX_TIMEOUT_MS / 60000;
+    if (!isDiscordId(user_id)) {
+      return res.status(400).json({ success: false, error: 'user_id must be a Discord user ID' });
+    }
+    if (!Number.isInteger(duration_minutes) || duration_minutes < 1 || duration_minutes > maxMinutes) {
+      return res.status(400).json({ success: false, error: `duration_minutes must be an integer between 1 and ${maxMinutes}` });
+    }
+    if (reasonError(reason)) {
+      return res.status(400).json({ success: false, error: reasonError(reason) });
+    }
+
+    const guild = await client.guilds.fetch(process.env.GUILD_ID);
+    const result = await timeoutMember(guild, user_id, duration_minutes * 60000, reason || 'Timed out via API', apiModerator(req));
+    return res.json(result);
+  } catch (e) {
+    appendBotLog('ERROR', 'Error in /mod/timeout endpoint', { error: e.message });
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// { user_id, reason, duration_hours?, delete_message_days? }; without duration_hours the ban is permanent
+app.post('/mod/ban', requireScope('mod:write'), async (req, res) => {
+  try {
+    const { user_id, reason, duration_hours = null, delete_message_days = 0 } = req.body || {};
+    if (!isDiscordId(user_id)) {
+      return res.status(400).json({ success: false, error: 'user_id must be a Discord user ID' });
+    }
+    if (duration_hours != null && !(Number.isInteger(duration_hours) && duration_hours > 0)) {
+      return res.status(400).json({ success: false, error: 'duration_hours must be a positive integer (omit it for a permanent ban)' });
+    }
+    if (!Number.isInteger(delete_message_days) || delete_message_days < 0 || delete_message_days > 7) {
+      return res.status(400).json({ success: false, error: 'delete_message_days must be an integer between 0 and 7' });
+    }
+    if (reasonError(reason)) {
+      return res.status(400).json({ success: false, error: reasonError(reason) });
+    }
+
+    const guild = await client.guilds.fetch(process.env.GUILD_ID);
+    const result = await banMember(guild, user_id, reason || 'Banned via API', apiModerator(req), {
+      durationMs: duration_hours ? duration_hours * 60 * 60 * 1000 : null,
+      deleteMessageSeconds: delete_message_days * 24 * 60 * 60
+    });
+    return res.json(result);
+  } catch (e) {
+    appendBotLog('ERROR', 'Error in /mod/ban endpoint', { error: e.message });
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// { user_ids: [...], reason } — one result per user; a failure doesn't stop the rest
+app.post('/mod/remove/bulk', requireScope('mod:write'), async (req, res) => {
+  try {
+    const { user_ids, reason } = req.body || {};
+    if (!Array.isArray(user_ids) || !user_ids.length || user_ids.length > MAX_BULK_USERS) {
+      return res.status(400).json({ success: false, error: `user_ids must be an array of 1 to ${MAX_BULK_USERS} Discord user IDs` });
+    }
+    const invalid = user_ids.filter(id => !isDiscordId(id));
+    if (invalid.length) {
+      return res.status(400).json({ success: false, error: `Invalid user_ids: ${invalid.slice(0, 10).join(', ')}` });
+    }
+    if (reasonError(reason)) {
+      return res.status(400).json({ success: false, error: reasonError(reason) });
+    }
+
+    const guild = await client.guilds.fetch(process.env.GUILD_ID);
+    const results = [];
+    for (const userId of new Set(user_ids)) {
+      const result = await removeMember(guild, userId, reason || 'Role removed via API (bulk)', apiModerator(req));
+      results.push(result.success
+        ? { user_id: userId, success: true, roleRemoved: result.member.roleRemoved }
+        : { user_id: userId, success: false, error: result.error });
+    }
+
+    const removed = results.filter(r => r.success).length;
+    appendBotLog('INFO', 'Bulk membership removal via API', { requested: results.length, removed });
+    return res.json({ success: removed === results.length, removed, failed: results.length - removed, results });
+  } catch (e) {
+    appendBotLog('ERROR', 'Error in /mod/remove/bulk endpoint', { error: e.message });
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Moderation history, newest first; ?user_id=&action=&since=&limit=
+app.get('/mod/actions', requireScope('mod:read'), (req, res) => {
+  const { user_id, action, since } = req.query;
+  const limit = req.query.limit != null ? parseInt(req.query.limit, 10) : 50;
+  if (user_id != null && !isDiscordId(user_id)) {
+    return res.status(400).json({ success: false, error: 'user_id must be a Discord user ID' });
+  }
+  if (since != null && isNaN(new Date(since).getTime())) {
+    return res.status(400).json({ success: false, error: 'since must be a date' });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ success: false, error: 'limit must be between 1 and 500' });
+  }
+
+  const actions = moderationHistory.query({
+    userId: user_id || null,
+    action: action || null,
+    since: since ? new Date(since).toISOString() : null,
+    limit
+  });
+  return res.json({ success: true, count: actions.length, actions });
+});
+
+// --- MEMBER STATUS API (read-only) ---
+// For the website and support tools; same lookups as /admin lookup, as JSON
+function orderActivationState(order) {
+  const discordId = orderMetaValue(order, 'discord_id');
+  return {
+    orderId: order.id,
+    status: order.status,
+    products: (order.line_items || []).map(li => li.name),
+    tier: resolveMembershipTier(order)?.label || null,
+    claimed: (order.meta_data || []).some(m => m.key === 'activation_used'),
+    claimedBy: discordId ? { id: `${discordId}`, username: orderMetaValue(order, 'discord_username') || null } : null,
+    claimedAt: orderMetaValue(order, 'activation_used_at') || null,
+    expiryDate: toIsoDate(orderMetaValue(order, 'expiry_date')),
+    isOld: isTruthyMeta(orderMetaValue(order, 'is_old'))
+  };
+}
+
+// Rows claimed before used_at was recorded have no claim time
+function webinarCodeState(row) {
+  const claimed = isWebinarRowUsed(row);
+  return {
+    code: row.activation_uuid,
+    claimed,
+    claimedBy: claimed && row.discord_id ? { id: row.discord_id, username: row.discord_username || null } : null,
+    claimedAt: claimed ? row.used_at || null : null
+  };
+}
+
+app.get('/members/:discordId', requireScope('members:read'), async (req, res) => {
+  try {
+    const { discordId } = req.params;
+    if (!isDiscordId(discordId)) {
+      return res.status(400).json({ success: false, error: 'discordId must be a Discord user ID' });
+    }
+
+    const guild = await client.guilds.fetch(process.env.GUILD_ID);
+    const member = await guild.members.fetch(discordId).catch(() => null);
+    const status = await getMembershipStatus(discordId);
+    const webinarRow = webinarStore.read().find(r => r.discord_id === discordId && isWebinarRowUsed(r));
+
+    return res.json({
+      success: true,
+      discordId,
+      inGuild: Boolean(member),
+      roles: member ? member.roles.cache.filter(r => r.id !== guild.id).map(r => ({ id: r.id, name: r.name })) : [],
+      membership: status.code,
+      order: status.order ? orderActivationState(status.order) : null,
+      expiryDate: status.expiryIso || null,
+      daysLeft: status.daysLeft ?? null,
+      webinarCode: webinarRow ? webinarCodeState(webinarRow) : null,
+      campaignGrants: campaignStore.findActiveGrantsFor(discordId).map(({ code, batch, use }) => ({
+        code,
+        campaign: batch?.campaign || null,
+        usedAt: use.usedAt,
+        membershipExpiresAt: use.membershipExpiresAt
+      }))
+    });
+  } catch (e) {
+    appendBotLog('ERROR', 'Error in /members/:discordId endpoint', { error: e.message });
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+app.get('/activations/order/:orderId', requireScope('members:read'), async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.orderId)) {
+      return res.status(400).json({ success: false, error: 'orderId must be numeric' });
+    }
+
+    const order = await woocommerce.getOrder(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    return res.json({ success: true, ...orderActivationState(order) });
+  } catch (e) {
+    appendBotLog('ERROR', 'Error in /activations/order/:orderId endpoint', { error: e.message });
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// An activation code can be an order UUID, a webinar code or a generated campaign code
+app.get('/activations/code/:code', requireScope('members:read'), async (req, res) => {
+  try {
+    const { code } = req.params;
+    const webinarRow = webinarStore.read().find(r => r.activation_uuid === code);
+    if (webinarRow) {
+      return res.json({ success: true, source: 'webinar', ...webinarCodeState(webinarRow) });
+    }
+
+    const campaignCode = campaignStore.findCode(code);
+    if (campaignCode?.batch) {
+      const { entry, batch } = campaignCode;
+      return res.json({
+        success: true,
+        source: 'campaign',
+        code,
+        campaign: batch.campaign,
+        claimed: entry.uses.length > 0,
+        uses: entry.uses.map(u => ({ claimedBy: { id: u.discordId, username: u.discordUsername }, claimedAt: u.usedAt, membershipExpiresAt: u.membershipExpiresAt })),
+        maxUses: batch.maxUses,
+        codeExpiresAt: batch.codeExpiresAt
+      });
+    }
+
+    const orders = await woocommerce.findOrdersByUUID(code);
+    if (!orders.length) {
+      return res.status(404).json({ success: false, error: 'No order, webinar code or campaign code uses this code' });
+    }
+    return res.json({ success: true, source: 'order', code, claimed: orders.some(o => orderActivationState(o).claimed), orders: orders.map(orderActivationState) });
+  } catch (e) {
+    appendBotLog('ERROR', 'Error in /activations/code/:code endpoint', { error: e.message });
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+app.get('/webinar/codes/:code', requireScope('members:read'), (req, res) => {
+  try {
+    const webinarRow = webinarStore.read().find(r => r.activation_uuid === req.params.code);
+    if (!webinarRow) {
+      return res.status(404).json({ success: false, error: 'Webinar code not found' });
+    }
+    return res.json({ success: true, ...webinarCodeState(webinarRow) });
+  } catch (e) {
+    appendBotLog('ERROR', 'Error in /webinar/codes/:code endpoint', { error: e.message });
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// --- WOOCOMMERCE WEBHOOKS ---
+// Order events keep the local order store current so lookups don't page the shop
+app.post('/webhooks/woocommerce', (req, res) => {
+  const topic = req.headers['x-wc-webhook-topic'];
+  const signature = req.headers['x-wc-webhook-signature'];
+
+  // WooCommerce sends an unsigned ping (webhook_id=N) when a webhook is first saved
+  if (!topic && !signature) {
+    return res.json({ success: true, ping: true });
+  }
+
+  if (!process.env.WC_WEBHOOK_SECRET) {
+    appendBotLog('ERROR', 'WC webhook received but WC_WEBHOOK_SECRET not configured', { topic });
+    return res.status(503).json({ success: false, error: 'Webhook secret not configured' });
+  }
+
+  if (!verifyWebhookSignature(req.rawBody, signature, process.env.WC_WEBHOOK_SECRET)) {
+    appendBotLog('WARN', 'Rejected WC webhook with invalid signature', { topic, ip: req.ip });
+    return res.status(401).json({ success: false, error: 'Invalid signature' });
+  }
+
+  try {
+    const order = req.body || {};
+    switch (topic) {
+      case 'order.created':
+      case 'order.updated':
+        if (!order.id) return res.status(400).json({ success: false, error: 'Missing order id' });
+        orderStore.upsert(order);
+        recordCouponRedemptions(order);
+        break;
+      case 'order.deleted':
+        if (!order.id) return res.status(400).json({ success: false, error: 'Missing order id' });
+        orderStore.remove(order.id);
+        break;
+      default:
+        appendBotLog('INFO', 'Ignored WC webhook topic', { topic });
+        return res.json({ success: true, ignored: true });
+    }
+
+    appendBotLog('INFO', 'WC webhook applied to order store', { topic, orderId: order.id });
+    return res.json({ success: true });
+  } catch (e) {
+    appendBotLog('ERROR', 'Error handling WC webhook', { topic, error: e.message });
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+function getDateWithOffset(daysFromNow = 0) {
+  const tzOffsetHours = parseInt(process.env.TZ_OFFSET_HOURS || '7', 10);
+  const date = new Date(Date.now() + tzOffsetHours * 60 * 60 * 1000);
+  date.setDate(date.getDate() + daysFromNow);
+  return date;
+}
+
+// --- REMINDER STAGES ---
+// REMINDER_STAGE_DAYS picks which stages run (days before expiry, default
+// "7,3,1"). Wording and email subject come from the reminder templates, in
+// the member's language: "today" and "tomorrow" have their own, other days share one.
+// A "0" stage only reaches anyone with a GRACE_PERIOD_DAYS: the expiry check
+// runs an hour before the reminders and has already closed today's orders.
+function getReminderStages() {
+  return (process.env.REMINDER_STAGE_DAYS || '7,3,1')
+    .split(',')
+    .map(d => parseInt(d.trim(), 10))
+    .filter(d => Number.isInteger(d) && d >= 0)
+    .sort((a, b) => b - a)
+    .map(daysBefore => ({ key: `d${daysBefore}`, daysBefore }));
+}
+
+// Subject, DM and email for one reminder stage, rendered from the editable
+// templates (see message-templates.js) in the member's language
+// `voucher` and `percent` override the shared voucher (e.g. with the member's personal coupon)
+function renderReminder(order, membership, daysBefore, lang, { voucher, percent } = {}) {
+  const variant = daysBefore === 0 ? 'today' : daysBefore === 1 ? 'tomorrow' : 'days';
+  const expiryValue = (order.meta_data || []).find(m => m.key === 'expiry_date')?.value;
+  const vars = {
+    firstName: order.billing?.first_name || 'Member',
+    durationLabel: membership.label,
+    expiryDateFormatted: formatDateLong(new Date(expiryValue), lang),
+    renewUrl: membership.renewUrl || process.env.DEFAULT_RENEW_URL || '',
+    days: daysBefore,
+    ...(voucher ? { voucher, percent } : {})
+  };
+  vars.whenText = renderTemplate(lang, `reminder.when.${variant}`, { days: daysBefore });
+
+  return {
+    subject: renderTemplate(lang, `reminder.subject.${variant}`, vars),
+    dm: renderTemplate(lang, 'reminder.dm', vars),
+    emailHtml: renderTemplate(lang, 'reminder.email', vars)
+  };
+}
+
+// --- RENEWAL COUPONS ---
+// Reminders carry a personal single-use coupon (see renewal-coupons.js).
+// RENEWAL_COUPON_PERCENT=0 turns them off and the shared voucher is used instead.
+function getRenewalCouponPercent() {
+  const percent = parseFloat(process.env.RENEWAL_COUPON_PERCENT || '10');
+  return percent > 0 ? percent : 0;
+}
+
+function sharedVoucher() {
+  return { voucher: getRenewalVoucher(), percent: getRenewalVoucherPercent() };
+}
+
+// The coupon for this order's expiry as { voucher, percent }, created the first time
+// it's needed. Falls back to the shared voucher when coupons are off, there's no
+// billing email, or WC refuses.
+async function getReminderVoucher(order, expiryIso, discordId) {
+  const percent = getRenewalCouponPercent();
+  const email = order.billing?.email;
+  if (!percent || !email) return sharedVoucher();
+
+  const existing = renewalCoupons.find(order.id, expiryIso);
+  if (existing) return { voucher: existing.code, percent: existing.percent ?? percent };
+
+  const validDays = parseInt(process.env.RENEWAL_COUPON_VALID_DAYS || '7', 10);
+  const expiresAt = new Date(`${expiryIso}T23:59:59Z`);
+  expiresAt.setUTCDate(expiresAt.getUTCDate() + validDays);
+  const code = generateCouponCode();
+
+  try {
+    const coupon = await woocommerce.createPersonalCoupon({
+      code,
+      email,
+      percent,
+      expiresAt: expiresAt.toISOString().slice(0, 19),
+      description: `Renewal reminder coupon for order #${order.id} (membership expires ${expiryIso})`
+    });
+    renewalCoupons.add({ code, couponId: coupon.id, orderId: order.id, expiryIso, email, discordId, percent, expiresAt: expiresAt.toISOString() });
+    appendBotLog('INFO', 'Renewal coupon created', { orderId: order.id, code, couponId: coupon.id, expiresAt: expiresAt.toISOString() });
+    return { voucher: code, percent };
+  } catch (err) {
+    appendBotLog('ERROR', 'Failed to create renewal coupon, using shared voucher', { orderId: order.id, error: err.message });
+    return sharedVoucher();
+  }
+}
+
+const PAID_ORDER_STATUSES = ['processing', 'completed'];
+
+// Called for every order webhook: a paid order using a reminder coupon counts as a conversion
+function recordCouponRedemptions(order) {
+  if (!PAID_ORDER_STATUSES.includes(order.status)) return;
+  for (const line of order.coupon_lines || []) {
+    const coupon = renewalCoupons.findByCode(line.code);
+    if (coupon && renewalCoupons.markRedeemed(coupon.code, { orderId: order.id })) {
+      appendBotLog('INFO', 'Renewal coupon redeemed', { code: coupon.code, reminderOrderId: coupon.orderId, renewalOrderId: order.id });
+    }
+  }
+}
+
+// Catches redemptions whose webhook never arrived by asking WooCommerce for usage counts
+async function runCouponRedemptionCheck() {
+  const pending = renewalCoupons.unredeemed();
+  let redeemed = 0;
+  for (const coupon of pending) {
+    try {
+      const wcCoupon = await woocommerce.getCoupon(coupon.couponId);
+      if (wcCoupon?.usage_count > 0 && renewalCoupons.markRedeemed(coupon.code)) {
+        redeemed++;
+        appendBotLog('INFO', 'Renewal coupon redeemed', { code: coupon.code, reminderOrderId: coupon.orderId, via: 'poll' });
+      }
+    } catch (err) {
+      appendBotLog('WARN', 'Failed to check renewal coupon usage', { code: coupon.code, error: err.message });
+    }
+  }
+  appendBotLog('INFO', 'Renewal coupon check finished', { checked: pending.length, redeemed });
+  return { checked: pending.length, redeemed };
+}
+
+function formatCouponReport(report) {
+  const pct = rate => `${(rate * 100).toFixed(1)}%`;
+  const line = (label, r) => `${label}: ${r.redeemed}/${r.issued} redeemed (${pct(r.conversionRate)}), ${r.open} open, ${r.expired} expired unused`;
+  return [
+    `**Renewal coupon conversion${report.since ? ` since ${report.since.slice(0, 10)}` : ''}**`,
+    line('All reminders', report),
+    ...Object.entries(report.byStage).map(([stage, r]) => line(`• First sent at ${stage}`, r))
+  ].join('\n');
+}
+
+// What a member would receive for an order, rendered without sending anything.
+// language defaults to the linked member's preference.
+function renderTemplatePreview(order, { template = 'reminder', days = 1, language = null } = {}) {
+  const membership = resolveMembershipTier(order);
+  if (!membership) return { success: false, error: `Order #${order.id} has no product with a membership duration.` };
+  const expiryValue = (order.meta_data || []).find(m => m.key === 'expiry_date')?.value;
+  if (!expiryValue || isNaN(new Date(expiryValue).getTime())) {
+    return { success: false, error: `Order #${order.id} has no valid expiry_date.` };
+  }
+
+  const discordId = (order.meta_data || []).find(m => m.key === 'discord_id')?.value;
+  const lang = normalizeLanguage(language) || languageFor(discordId);
+  if (template === 'grace') {
+    return { success: true, template, language: lang, dm: renderGraceMessage(order, membership, getGracePeriodDays(), lang) };
+  }
+  // Show the member's real coupon if one exists; otherwise a sample code that isn't created in WooCommerce
+  const expiryIso = new Date(expiryValue).toISOString().slice(0, 10);
+  const existing = renewalCoupons.find(order.id, expiryIso);
+  const { voucher, percent } = existing
+    ? { voucher: existing.code, percent: existing.percent ?? getRenewalCouponPercent() }
+    : getRenewalCouponPercent() && order.billing?.email
+      ? { voucher: generateCouponCode(), percent: getRenewalCouponPercent() }
+      : sharedVoucher();
+  return { success: true, template, language: lang, days, voucher, ...renderReminder(order, membership, days, lang, { voucher, percent }) };
+}
+
+async function sendExpiryReminderEmail({ email, subject, html }) {
+  if (!email) return { success: false, reason: 'NO_EMAIL' };
+
+  const result = await emailService.send({ to: email, subject, html });
+  if (result.success) {
+    appendBotLog('INFO', 'Expiry reminder email sent', {
+      email,
+      transport: result.transport,
+      attempts: result.attempts,
+      messageId: result.messageId
+    });
+  } else {
     appendBotLog('ERROR', 'Failed to send expiry reminder email', {
       email,
-      error: err.message
+      transport: result.transport,
+      attempts: result.attempts,
+      transient: result.transient,
+      error: result.error
     });
-
-    return { success: false, error: err.message };
   }
+  return result;
 }
 
-async function sendExpiryReminderDMAndEmail(order) {
+// Sends one reminder stage for an order; channels already in the ledger are skipped.
+// In a dry run, channels that would be sent report 'would_send' instead.
+async function sendExpiryReminderDMAndEmail(order, stage, { dryRun = false } = {}) {
   const meta = order.meta_data || [];
   const discordId = meta.find(m => m.key === 'discord_id')?.value;
-  const firstName =
-    order.billing?.first_name ||
-    'Member';
+  const outcome = { orderId: order.id, stage: stage.key, email: 'skipped', dm: 'skipped' };
 
-  const item = order.line_items?.[0];
-  if (!item) {
+  if (!order.line_items?.length) {
     appendBotLog('WARN', 'Reminder skipped — no line item', { orderId: order.id });
-    return { success: false };
+    return { ...outcome, success: false, reason: 'NO_LINE_ITEM' };
   }
 
-  const membership = parseMembershipDuration(item.name);
+  const membership = resolveMembershipTier(order);
   if (!membership) {
     appendBotLog('WARN', 'Reminder skipped — unknown product duration', {
       orderId: order.id,
-      productName: item.name
+      productName: order.line_items.map(li => li.name).join(', ')
     });
-    return { success: false };
+    return { ...outcome, success: false, reason: 'UNKNOWN_TIER' };
   }
 
   const orderExpiry = meta.find(m => m.key === 'expiry_date')?.value;
-  const expiryDate = new Date(orderExpiry);
-  const expiryFormatted = formatDateIndonesia(expiryDate);
-
-  if (order.billing?.email) {
-    await sendExpiryReminderEmail({
-      firstName,
+  const expiryIso = new Date(orderExpiry).toISOString().slice(0, 10);
+  // The personal coupon is only created once something is actually about to be sent
+  const emailDue = Boolean(order.billing?.email) && !reminderLedger.hasSent(order.id, expiryIso, stage.key, 'email');
+  const dmDue = Boolean(discordId) && !reminderLedger.hasSent(order.id, expiryIso, stage.key, 'dm');
+  const { voucher, percent } = !dryRun && (emailDue || dmDue) ? await getReminderVoucher(order, expiryIso, discordId) : {};
+  // Email and DM both follow the member's saved language when the order is linked
+  const lang = languageFor(discordId);
+  const rendered = renderReminder(order, membership, stage.daysBefore, lang, { voucher, percent });
+
+  if (reminderLedger.hasSent(order.id, expiryIso, stage.key, 'email')) {
+    outcome.email = 'already_sent';
+  } else if (order.billing?.email && dryRun) {
+    outcome.email = 'would_send';
+  } else if (order.billing?.email) {
+    const emailResult = await sendExpiryReminderEmail({
       email: order.billing.email,
-      durationLabel: membership.label,
-      expiryDateFormatted: expiryFormatted,
-      renewUrl: membership.renewUrl
+      subject: rendered.subject,
+      html: rendered.emailHtml
     });
+    outcome.email = emailResult.success ? 'sent' : 'failed';
+    if (emailResult.success) {
+      reminderLedger.record(order.id, expiryIso, stage.key, 'email', { to: order.billing.email });
+      renewalCoupons.markSent(voucher, stage.key);
+    }
   }
 
   if (!discordId) {
     appendBotLog('WARN', 'Reminder skipped — NO DISCORD ID', { orderId: order.id });
-    return { success: false, reason: 'NO_DISCORD_ID' };
+    return { ...outcome, success: outcome.email === 'sent', reason: 'NO_DISCORD_ID' };
+  }
+
+  if (reminderLedger.hasSent(order.id, expiryIso, stage.key, 'dm')) {
+    outcome.dm = 'already_sent';
+    return { ...outcome, success: true };
+  }
+
+  if (dryRun) {
+    return { ...outcome, dm: 'would_send', success: true };
   }
 
   try {
     const user = await client.users.fetch(discordId);
     if (!user) throw new Error('User not found');
 
-    const message = buildReminderMessage({
-      firstName,
-      durationLabel: membership.label,
-      expiryDateFormatted: expiryFormatted,
-      renewUrl: membership.renewUrl
-    });
-
-    await user.send(message);
+    await user.send(rendered.dm);
+    reminderLedger.record(order.id, expiryIso, stage.key, 'dm', { discordId });
+    renewalCoupons.markSent(voucher, stage.key);
 
     appendBotLog('INFO', 'Expiry reminder DM sent', {
       orderId: order.id,
       discordId,
+      stage: stage.key,
       duration: membership.label
     });
 
-    return { success: true };
+    return { ...outcome, dm: 'sent', success: true };
   } catch (err) {
     appendBotLog('ERROR', 'Failed to send expiry reminder DM', {
       orderId: order.id,
       discordId,
+      stage: stage.key,
       error: err.message
     });
 
-    return { success: false, error: err.message };
+    return { ...outcome, dm: 'failed', success: false, error: err.message };
   }
 }
 
-async function runExpiryReminder() {
-  appendBotLog('INFO', 'Running expiry reminder (tomorrow)...');
+async function runExpiryReminder({ dryRun = false } = {}) {
+  const stages = getReminderStages();
+  appendBotLog('INFO', 'Running expiry reminders...', { stages: stages.map(s => s.key), dryRun });
 
   try {
-    const guild = await client.guilds.fetch(process.env.GUILD_ID);
-    // Find orders expiring today using a fixed timezone offset (default UTC+7)
-    const tomorrow = getDateWithOffset(1);
-
-    const expiringTomorrow = await woocommerce.findOrdersExpiringOn(tomorrow);
-    appendBotLog(
-      'INFO',
-      `Found ${expiringTomorrow.length} orders expiring tomorrow`,
-      { count: expiringTomorrow.length, date: tomorrow.toISOString().slice(0, 10) }
-    );
+    const channel = ADMIN_LOG_CHANNEL_ID && client.user
+      ? await client.channels.fetch(ADMIN_LOG_CHANNEL_ID).catch(() => null)
+      : null;
+    const summary = [];
+
+    for (const stage of stages) {
+      // Find orders expiring N days out using a fixed timezone offset (default UTC+7)
+      const targetDate = getDateWithOffset(stage.daysBefore);
+      const targetIso = targetDate.toISOString().slice(0, 10);
+      const expiring = await woocommerce.findOrdersExpiringOn(targetDate);
+      appendBotLog(
+        'INFO',
+        `Found ${expiring.length} orders for reminder stage ${stage.key}`,
+        { count: expiring.length, date: targetIso, stage: stage.key }
+      );
 
-    if (!ADMIN_LOG_CHANNEL_ID || !client.user) return;
+      const results = [];
+      for (const order of expiring) {
+        // One order that can't be rendered or sent doesn't stop the rest of the batch
+        const outcome = await sendExpiryReminderDMAndEmail(order, stage, { dryRun }).catch(err => {
+          appendBotLog('ERROR', 'Reminder failed for order', { orderId: order.id, stage: stage.key, error: err.message });
+          return { orderId: order.id, stage: stage.key, email: 'failed', dm: 'failed', success: false, reason: err.message };
+        });
+        results.push(outcome);
+        if (!dryRun) {
+          reminderMessages.inc({ channel: 'dm', outcome: outcome.dm });
+          reminderMessages.inc({ channel: 'email', outcome: outcome.email });
+        }
+      }
+      summary.push({ stage: stage.key, date: targetIso, count: expiring.length, results });
 
-    const channel = await client.channels.fetch(ADMIN_LOG_CHANNEL_ID).catch(() => null);
-    if (!channel?.isTextBased()) return;
+      // Dry runs post a single combined plan below instead
+      if (dryRun || !channel?.isTextBased()) continue;
 
-    if (expiringTomorrow.length === 0) {
-      await channel.send(
-        `🟢 **Expiry Reminder**\nNo memberships expiring tomorrow (${tomorrow.toISOString().slice(0, 10)})`
-      );
-      return;
-    }
+      if (expiring.length === 0) {
+        await channel.send(
+          `🟢 **Expiry Reminder (${stage.key})**\nNo memberships expiring on ${targetIso}`
+        );
+        continue;
+      }
 
-    let buffer = `⏳ **Memberships Expiring Tomorrow** (${tomorrow.toISOString().slice(0, 10)})\n`;
+      let buffer = `⏳ **Expiry Reminder (${stage.key}) — ${expiring.length} Memberships Expiring** (${targetIso})\n`;
 
-    for (const order of expiringTomorrow) {
-      const meta = order.meta_data || [];
-      const discordId = meta.find(m => m.key === 'discord_id')?.value || 'N/A';
-      const expiry = meta.find(m => m.key === 'expiry_date')?.value || 'unknown';
+      for (const [i, order] of expiring.entries()) {
+        const meta = order.meta_data || [];
+        const discordId = meta.find(m => m.key === 'discord_id')?.value || 'N/A';
+        const expiry = meta.find(m => m.key === 'expiry_date')?.value || 'unknown';
+        const { dm, email } = results[i];
 
-      const warning = discordId === 'N/A' ? ' ⚠️' : '';
-      const line = `• Order #${order.id} | Discord: ${discordId} | Expiry: ${expiry}${warning}\n`;
+        const warning = discordId === 'N/A' ? ' ⚠️' : '';
+        const line = `• Order #${order.id} | Discord: ${discordId} | Expiry: ${expiry} | DM: ${dm} | Email: ${email}${warning}\n`;
 
-      if ((buffer + line).length > 1800) {
-        await channel.send(buffer);
-        buffer = '';
+        if ((buffer + line).length > 1800) {
+          await channel.send(buffer);
+          buffer = '';
+        }
+        buffer += line;
       }
-      buffer += line;
-      await sendExpiryReminderDMAndEmail(order);
-    }
 
-    if (buffer.trim()) {
-      await channel.send(buffer);
+      if (buffer.trim()) {
+        await channel.send(buffer);
+      }
     }
 
-    return { success: true, count: expiringTomorrow.length };
+    if (dryRun) await postDryRunPlan('Expiry Reminder', formatReminderPlan(summary));
+    return { success: true, dryRun, count: summary.reduce((n, s) => n + s.count, 0), stages: summary };
   } catch (err) {
     appendBotLog('ERROR', 'Expiry reminder failed', { error: err.message });
     return { success: false, error: err.message };
   }
 }
 
+// --- GRACE PERIOD ---
+// For GRACE_PERIOD_DAYS after expiry the member keeps access, gets GRACE_ROLE_ID
+// and one DM with their renewal link. Removal happens when the window ends.
+function getGracePeriodDays() {
+  const days = parseInt(process.env.GRACE_PERIOD_DAYS || '0', 10);
+  return Number.isInteger(days) && days > 0 ? days : 0;
+}
+
+function renderGraceMessage(order, membership, graceDays, lang) {
+  const expiryValue = (order.meta_data || []).find(m => m.key === 'expiry_date')?.value;
+  const expiryDate = new Date(expiryValue);
+  const graceEnd = new Date(expiryDate);
+  graceEnd.setDate(graceEnd.getDate() + graceDays);
+
+  return renderTemplate(lang, 'grace.dm', {
+    firstName: order.billing?.first_name || 'Member',
+    durationLabel: membership?.label || 'membership',
+    expiryDateFormatted: formatDateLong(expiryDate, lang),
+    graceEndFormatted: formatDateLong(graceEnd, lang),
+    renewUrl: membership?.renewUrl || process.env.DEFAULT_RENEW_URL || ''
+  });
+}
+
+// Renewal detected: drop the grace role and make sure the membership role is back
+async function restoreFullAccess(guild, discordId, reason = 'Membership renewed') {
+  const member = await guild.members.fetch(discordId).catch(() => null);
+  if (!member) return false;
+
+  const memberRoleId = process.env.MEMBER_ROLE_ID;
+  const graceRoleId = process.env.GRACE_ROLE_ID;
+  if (memberRoleId && !member.roles.cache.has(memberRoleId)) {
+    await member.roles.add(memberRoleId, reason);
+  }
+  if (graceRoleId && member.roles.cache.has(graceRoleId)) {
+    await member.roles.remove(graceRoleId, reason);
+    appendBotLog('INFO', 'Grace role removed after renewal', { discordId });
+  }
+  return true;
+}
+
+async function enterGracePeriod(guild, order, discordId, daysExpired, graceDays) {
+  const graceRoleId = process.env.GRACE_ROLE_ID;
+  const member = await guild.members.fetch(discordId).catch(() => null);
+  if (member && graceRoleId && !member.roles.cache.has(graceRoleId)) {
+    await member.roles.add(graceRoleId, 'Membership expired — grace period');
+    appendBotLog('INFO', 'Grace role added', { discordId, orderId: order.id });
+  }
+
+  const expiryValue = (order.meta_data || []).find(m => m.key === 'expiry_date')?.value;
+  const expiryDate = new Date(expiryValue);
+  const expiryIso = expiryDate.toISOString().slice(0, 10);
+  // The grace DM goes out once per expiry, tracked like a reminder stage
+  if (reminderLedger.hasSent(order.id, expiryIso, 'grace', 'dm')) return;
+
+  try {
+    const user = await client.users.fetch(discordId);
+    await user.send(renderGraceMessage(order, resolveMembershipTier(order), graceDays, languageFor(discordId)));
+    reminderLedger.record(order.id, expiryIso, 'grace', 'dm', { discordId });
+    appendBotLog('INFO', 'Grace period DM sent', { orderId: order.id, discordId, daysExpired });
+  } catch (err) {
+    appendBotLog('ERROR', 'Failed to send grace period DM', { orderId: order.id, discordId, error: err.message });
+  }
+}
+
+// --- DRY-RUN REPORTING ---
+function formatExpiryPlan(plan) {
+  return [
+    `**Would lose roles (${plan.removals.length})**`,
+    ...plan.removals.map(r => `• <@${r.discordId}> (${r.discordId}) | Order #${r.orderId} | ${r.inGuild ? `roles: ${r.roleIds.map(id => `<@&${id}>`).join(' ') || 'none held'}` : 'not in server'}`),
+    `**Would be marked finished (${plan.finished.length})**`,
+    ...(plan.finished.length ? [`• ${plan.finished.map(id => `#${id}`).join(', ')}`] : []),
+    `**Renewals detected (${plan.renewals.length})**`,
+    ...plan.renewals.map(r => `• <@${r.discordId}> | Expired #${r.expiredOrderId} → Active #${r.activeOrderId}`),
+    `**Would enter/stay in grace (${plan.grace.length})**`,
+    ...plan.grace.map(g => `• <@${g.discordId}> | Order #${g.orderId} | day ${g.day}/${g.of}`)
+  ];
+}
+
+function formatReminderPlan(stages) {
+  return stages.flatMap(stage => [
+    `**Stage ${stage.stage} — expiring ${stage.date} (${stage.count})**`,
+    ...stage.results.map(r => `• Order #${r.orderId} | DM: ${r.dm} | Email: ${r.email}${r.reason ? ` | ${r.reason}` : ''}`)
+  ]);
+}
+
+async function postDryRunPlan(title, lines) {
+  await postAdminReport(`🧪 **${title} [DRY RUN]** — nothing was changed`, lines);
+}
+
+// Post a header and report lines to the admin log channel, split to fit Discord's limit
+async function postAdminReport(header, lines) {
+  if (!ADMIN_LOG_CHANNEL_ID || !client.user) return;
+  try {
+    const channel = await client.channels.fetch(ADMIN_LOG_CHANNEL_ID).catch(() => null);
+    if (!channel?.isTextBased()) return;
+
+    let buffer = `${header}\n`;
+    for (const line of lines) {
+      if ((buffer + line + '\n').length > 1800) {
+        await channel.send(buffer);
+        buffer = '';
+      }
+      buffer += line + '\n';
+    }
+    if (buffer.trim()) await channel.send(buffer);
+  } catch (err) {
+    appendBotLog('WARN', 'Failed to post admin report', { header, error: err.message });
+  }
+}
+
 // --- AUTO-KICK JOB (runs daily) ---
-async function runExpiryCheck() {
-  appendBotLog('INFO', 'Running expiry check...');
+// dryRun: work out and report the plan without touching Discord, WooCommerce or email
+async function runExpiryCheck({ dryRun = false } = {}) {
+  appendBotLog('INFO', 'Running expiry check...', { dryRun });
 
   try {
     const guild = await client.guilds.fetch(process.env.GUILD_ID);
+    const graceDays = getGracePeriodDays();
 
-    // Find orders expiring today using a fixed timezone offset (default UTC+7)
+    // Find orders expiring today using a fixed timezone offset (default UTC+7).
+    // With a grace period, orders that expired less than graceDays ago stay in
+    // grace; everything that expired graceDays ago or earlier is removed, so a
+    // day the bot was down is caught up instead of keeping those members forever.
     const tzOffsetHours = parseInt(process.env.TZ_OFFSET_HOURS || '7', 10);
-    const today = new Date(Date.now() + tzOffsetHours * 60 * 60 * 1000);
-    appendBotLog('INFO', `Using timezone offset for expiry check`, { tzOffsetHours, iso: today.toISOString().slice(0,10) });
-    const expiringOrders = await woocommerce.findOrdersExpiringOn(today);
-    appendBotLog('INFO', `Found ${expiringOrders.length} orders expiring today`, { count: expiringOrders.length });
+    const today = getDateWithOffset(0);
+    const todayIso = today.toISOString().slice(0, 10);
+    appendBotLog('INFO', `Using timezone offset for expiry check`, { tzOffsetHours, iso: todayIso, graceDays });
+
+    const dueOrders = [];
+    for (let daysExpired = 0; daysExpired < graceDays; daysExpired++) {
+      const orders = await woocommerce.findOrdersExpiringOn(getDateWithOffset(-daysExpired));
+      for (const order of orders) dueOrders.push({ order, phase: 'grace', daysExpired });
+    }
+    for (const order of await woocommerce.findOrdersExpiredBy(getDateWithOffset(-graceDays))) {
+      const expiryIso = toIsoDate(orderMetaValue(order, 'expiry_date'));
+      const daysExpired = Math.round((Date.parse(todayIso) - Date.parse(expiryIso)) / (24 * 60 * 60 * 1000));
+      // Unclaimed orders were already reported on their removal day
+      if (daysExpired > graceDays && !orderMetaValue(order, 'discord_id')) continue;
+      dueOrders.push({ order, phase: 'remove', daysExpired });
+    }
+    appendBotLog('INFO', `Found ${dueOrders.length} expired orders to process`, {
+      count: dueOrders.length,
+      inGrace: dueOrders.filter(d => d.phase === 'grace').length
+    });
+
     // --- ADMIN LOG: EXPIRING ORDERS (PLAIN TEXT) ---
     try {
-      if (ADMIN_LOG_CHANNEL_ID && client.user) {
-        const channel = await client.channels.fetch(ADMIN_LOG_CHANNEL_ID).catch(() => null);
-        if (!channel?.isTextBased()) return;
-
-        if (expiringOrders.length === 0) {
+      const channel = ADMIN_LOG_CHANNEL_ID && client.user
+        ? await client.channels.fetch(ADMIN_LOG_CHANNEL_ID).catch(() => null)
+        : null;
+      if (channel?.isTextBased()) {
+        if (dueOrders.length === 0) {
           await channel.send(
-            `🟢 **Expiry Check**\nNo memberships expiring today (${today.toISOString().slice(0, 10)})`
+            `🟢 **Expiry Check${dryRun ? ' [DRY RUN]' : ''}**\nNo memberships expiring today (${today.toISOString().slice(0, 10)})`
           );
-          return;
-        }
-
-        const header = `⏰ **Expiry Check — ${expiringOrders.length} Orders Expiring Today** (${today.toISOString().slice(0, 10)})\n`;
-        let buffer = header;
-
-        for (const order of expiringOrders) {
-          const meta = order.meta_data || [];
-          const discordId = meta.find(m => m.key === 'discord_id')?.value || 'N/A';
-          const expiry = meta.find(m => m.key === 'expiry_date')?.value || 'unknown';
+        } else {
+          const header = `⏰ **Expiry Check${dryRun ? ' [DRY RUN]' : ''} — ${dueOrders.length} Expired Orders** (${today.toISOString().slice(0, 10)}${graceDays ? `, grace ${graceDays}d` : ''})\n`;
+          let buffer = header;
+
+          for (const { order, phase, daysExpired } of dueOrders) {
+            const meta = order.meta_data || [];
+            const discordId = meta.find(m => m.key === 'discord_id')?.value || 'N/A';
+            const expiry = meta.find(m => m.key === 'expiry_date')?.value || 'unknown';
+
+            const warning = discordId === 'N/A' ? ' ⚠️' : '';
+            const stage = phase === 'grace' ? `GRACE ${daysExpired + 1}/${graceDays}` : daysExpired > graceDays ? `REMOVE (overdue ${daysExpired - graceDays}d)` : 'REMOVE';
+            const line = `• Order #${order.id} | Discord: ${discordId} | Expiry: ${expiry} | ${stage}${warning}\n`;
+
+            // Flush if message would exceed Discord limit
+            if ((buffer + line).length > 1800) {
+              await channel.send(buffer);
+              buffer = '';
+            }
 
-          const warning = discordId === 'N/A' ? ' ⚠️' : '';
-          const line = `• Order #${order.id} | Discord: ${discordId} | Expiry: ${expiry}${warning}\n`;
+            buffer += line;
+          }
 
-          // Flush if message would exceed Discord limit
-          if ((buffer + line).length > 1800) {
+          if (buffer.trim()) {
             await channel.send(buffer);
-            buffer = '';
           }
-
-          buffer += line;
-        }
-
-        if (buffer.trim()) {
-          await channel.send(buffer);
         }
       }
     } catch (err) {
       appendBotLog('WARN', 'Failed to send expiring orders log to chat', { error: err.message });
     }
 
-    for (const order of expiringOrders) {
+    const counts = { removed: 0, inGrace: 0, renewed: 0 };
+    // What this run does (or, in a dry run, would do)
+    const plan = { removals: [], finished: [], renewals: [], grace: [] };
+    for (const { order, phase, daysExpired } of dueOrders) {
       try {
         const meta = order.meta_data || [];
         const discordMeta = meta.find(m => m.key === 'discord_id');
@@ -994,9 +2833,19 @@ async function runExpiryCheck() {
         // Check if user has a newer active order (e.g., renewed membership)
         const activeOrder = await woocommerce.findActiveOrderByDiscordId(discordId);
         if (activeOrder && activeOrder.id !== order.id) {
+          plan.renewals.push({ discordId, expiredOrderId: order.id, activeOrderId: activeOrder.id });
+          plan.finished.push(order.id);
+          counts.renewed++;
+          if (dryRun) continue;
+
           // Found a newer active order — skip removal and mark this old order finished
           await woocommerce.markOrderFinished(order.id).catch(async err => {
-            appendBotLog('ERROR', 'Failed to mark old order finished (newer active exists)', { orderId: order.id, discordId, newerOrderId: activeOrder.id, error: err.message });
+            appendBotLog('ERROR', 'Failed to mark old order finished (newer active exists), queued for retry', { orderId: order.id, discordId, newerOrderId: activeOrder.id, error: err.message });
+            wcOutbox.enqueue({ type: 'markOrderFinished', args: [order.id], context: { kind: 'expiry', discordId }, error: err.message });
+          });
+          // Renewed during the grace period: straight back to full access
+          await restoreFullAccess(guild, discordId).catch(err => {
+            appendBotLog('WARN', 'Failed to restore full access after renewal', { discordId, error: err.message });
           });
           appendBotLog('INFO', 'Skipped role removal — newer active order exists', { discordId, expiredOrderId: order.id, activeOrderId: activeOrder.id });
           
@@ -1025,7 +2874,36 @@ async function runExpiryCheck() {
           continue;
         }
 
-        const result = await removeMember(guild, discordId, 'Membership expired');
+        if (phase === 'grace') {
+          plan.grace.push({ discordId, orderId: order.id, day: daysExpired + 1, of: graceDays });
+          counts.inGrace++;
+          if (dryRun) continue;
+          await enterGracePeriod(guild, order, discordId, daysExpired, graceDays);
+          continue;
+        }
+
+        // Lifetime tiers keep their roles; only roles of expiring tiers (and grace) go.
+        // A claimed webinar code or an active campaign grant still covers the
+        // membership role and its own roles, as it does for campaign expiry below.
+        const remaining = await resolveEntitlement(discordId, { includeOrder: false });
+        const expiringRoleIds = resolveOrderTiers(order)
+          .filter(t => t.months != null)
+          .flatMap(t => resolveRoleIds(t.roles))
+          .filter(id => !remaining.roleIds.has(id));
+        if (process.env.GRACE_ROLE_ID) expiringRoleIds.push(process.env.GRACE_ROLE_ID);
+        const keepMemberRole = remaining.sources.length > 0;
+
+        if (dryRun) {
+          // Report the roles the member actually holds today
+          const member = await guild.members.fetch(discordId).catch(() => null);
+          const roleIds = [...(keepMemberRole ? [] : [process.env.MEMBER_ROLE_ID]), ...expiringRoleIds].filter(id => id && member?.roles.cache.has(id));
+          plan.removals.push({ discordId, orderId: order.id, inGuild: Boolean(member), roleIds });
+          plan.finished.push(order.id);
+          counts.removed++;
+          continue;
+        }
+
+        const result = await removeMember(guild, discordId, keepMemberRole ? `Membership expired (still covered by ${remaining.sources.join(', ')})` : 'Membership expired', 'SYSTEM', expiringRoleIds, { keepMemberRole });
         if (!result.success) {
           const msg = `Failed to remove membership role (expiry)`;
           appendBotLog('ERROR', msg, { discordId, orderId: order.id, error: result.error });
@@ -1035,17 +2913,47 @@ async function runExpiryCheck() {
 
         // After successful removal, mark order finished and is_old
         await woocommerce.markOrderFinished(order.id).catch(async err => {
-          const msg = 'Failed to mark order finished after role removal';
+          const msg = 'Failed to mark order finished after role removal, queued for retry';
           appendBotLog('ERROR', msg, { orderId: order.id, discordId, error: err.message });
-          await logCritical('Mark Order Finished Failed', { orderId: order.id, discordId, error: err.message });
+          wcOutbox.enqueue({ type: 'markOrderFinished', args: [order.id], context: { kind: 'expiry', discordId }, error: err.message });
         });
         appendBotLog('INFO', 'Auto-removed membership role and marked order finished', { discordId, orderId: order.id });
+        plan.removals.push({ discordId, orderId: order.id, inGuild: true, roleIds: [...(keepMemberRole ? [] : [process.env.MEMBER_ROLE_ID]), ...expiringRoleIds] });
+        plan.finished.push(order.id);
+        counts.removed++;
+        expiryRemovals.inc({ source: 'order' });
       } catch (oe) {
-        appendBotLog('ERROR', 'Error handling expiring order', { orderId: order.id, error: oe.message });
-        await logCritical('Expiry Check Error', { orderId: order.id, error: oe.message });
+        appendBotLog('ERROR', 'Error handling expiring order', { orderId: order.id, error: oe.message, dryRun });
+        if (!dryRun) await logCritical('Expiry Check Error', { orderId: order.id, error: oe.message });
+      }
+    }
+    // Memberships granted through generated codes with a duration
+    for (const { code, batch, use } of campaignStore.findDueGrants(today.toISOString().slice(0, 10))) {
+      try {
+        const batchRoleIds = batch?.roles || [];
+        // A member who also holds a paid order keeps the membership role
+        const activeOrder = await woocommerce.findActiveOrderByDiscordId(use.discordId);
+        const member = await guild.members.fetch(use.discordId).catch(() => null);
+        const roleIds = [...(activeOrder ? [] : [process.env.MEMBER_ROLE_ID]), ...batchRoleIds]
+          .filter(id => id && member?.roles.cache.has(id));
+        plan.removals.push({ discordId: use.discordId, orderId: `CAMPAIGN:${batch?.campaign}`, inGuild: Boolean(member), roleIds });
+        counts.removed++;
+        if (dryRun) continue;
+
+        if (member && roleIds.length) {
+          await member.roles.remove(roleIds, 'Campaign membership expired');
+          await logModAction(guild, 'Membership Removed', member, `Campaign membership expired (${batch?.campaign})`, 'SYSTEM');
+        }
+        campaignStore.markGrantEnded(code, use.discordId);
+        expiryRemovals.inc({ source: 'campaign' });
+        appendBotLog('INFO', 'Ended expired campaign membership', { discordId: use.discordId, campaign: batch?.campaign, code, roleIds });
+      } catch (ce) {
+        appendBotLog('ERROR', 'Error ending campaign membership', { discordId: use.discordId, code, error: ce.message });
       }
     }
-    return { success: true, count: expiringOrders.length };
+
+    if (dryRun) await postDryRunPlan('Expiry Check', formatExpiryPlan(plan));
+    return { success: true, dryRun, count: dueOrders.length, ...counts, plan };
   } catch (err) {
     appendBotLog('ERROR', 'Error running expiry job', { error: err.message });
     await logCritical('Expiry Job Critical Error', { error: err.message });
@@ -1053,19 +2961,319 @@ async function runExpiryCheck() {
   }
 }
 
+// --- WOOCOMMERCE OUTBOX ---
+// Retries queued WC writes; alerts admins once when an item gets stuck
+const outboxExecutors = {
+  updateOrderMemberData: (orderId, metadata) => woocommerce.updateOrderMemberData(orderId, metadata),
+  markOrderFinished: orderId => woocommerce.markOrderFinished(orderId)
+};
+
+async function runOutboxRetry({ force = false } = {}) {
+  if (!wcOutbox.list().length) return { succeeded: [], failed: [], newlyStuck: [] };
+  try {
+    const summary = await wcOutbox.process(outboxExecutors, { force });
+    if (summary.skipped) return summary;
+
+    for (const item of summary.succeeded) {
+      appendBotLog('INFO', 'Outbox item applied to WooCommerce', { id: item.id, type: item.type, args: item.args, attempts: item.attempts + 1 });
+    }
+    for (const item of summary.newlyStuck) {
+      await logCritical('WooCommerce Outbox Item Stuck', { id: item.id, type: item.type, orderId: item.args[0], context: item.context, attempts: item.attempts, error: item.lastError });
+    }
+    return summary;
+  } catch (err) {
+    appendBotLog('ERROR', 'Outbox retry failed', { error: err.message });
+    return { succeeded: [], failed: [], newlyStuck: [], error: err.message };
+  }
+}
+
+// --- ORDER INDEX SYNC ---
+// Webhooks cover most changes; the incremental sync catches anything they missed,
+// and the nightly full rebuild drops orders that were trashed or deleted
+async function runOrderSync({ full = false } = {}) {
+  try {
+    const result = full ? await woocommerce.rebuildOrderStore() : await woocommerce.syncOrderStore();
+    appendBotLog('INFO', 'Order index synced', result);
+    return result;
+  } catch (err) {
+    appendBotLog('ERROR', 'Order index sync failed', { full, error: err.message });
+    return { success: false, error: err.message };
+  }
+}
+
+// --- TEMPORARY BAN EXPIRY ---
+function tempBanMarker(until) {
+  return `[temporary ban until ${until}]`;
+}
+
+async function runBanExpiry() {
+  const due = moderationHistory.findExpiredBans();
+  if (!due.length) return { lifted: 0 };
+  try {
+    const guild = await client.guilds.fetch(process.env.GUILD_ID);
+    let lifted = 0;
+    for (const ban of due) {
+      try {
+        // Only lift the ban this bot placed: if staff re-banned the user through
+        // Discord since, the ban there no longer carries our marker
+        const current = await guild.bans.fetch({ user: ban.userId, force: true });
+        if (!`${current.reason || ''}`.includes(tempBanMarker(ban.until))) {
+          moderationHistory.markSuperseded(ban.id);
+          appendBotLog('INFO', 'Temporary ban left in place, replaced by a ban made outside the bot', { userId: ban.userId, banId: ban.id, discordReason: current.reason });
+          continue;
+        }
+        await guild.members.unban(ban.userId, 'Temporary ban expired');
+      } catch (err) {
+        // Unknown Ban: someone already lifted it by hand
+        if (err.code !== 10026) {
+          appendBotLog('ERROR', 'Failed to lift temporary ban', { userId: ban.userId, banId: ban.id, error: err.message });
+          continue;
+        }
+      }
+      moderationHistory.markLifted(ban.id);
+      lifted++;
+      const user = await client.users.fetch(ban.userId).catch(() => null);
+      if (user) await logModAction(guild, 'Unbanned', user, `Temporary ban expired (banned ${ban.at}: ${ban.reason || 'no reason'})`, 'SYSTEM');
+      appendBotLog('INFO', 'Temporary ban lifted', { userId: ban.userId, banId: ban.id });
+    }
+    return { lifted };
+  } catch (err) {
+    appendBotLog('ERROR', 'Ban expiry job failed', { error: err.message });
+    return { lifted: 0, error: err.message };
+  }
+}
+
+// --- ROLE RECONCILIATION ---
+// Compares who holds MEMBER_ROLE_ID with who is entitled to it: active orders,
+// claimed webinar codes, campaign grants and manual grants. Differences fall in three categories:
+//   missing_role  — entitled and in the server, but without the membership role
+//   no_membership — holds the membership role with nothing behind it (staff and
+//                   holders of a RECONCILE_EXEMPT_ROLE_IDS role excluded)
+//   not_in_server — an active order is linked to an account that isn't in the server
+// The report goes to the admin log channel. RECONCILE_AUTO_FIX lists the
+// categories the scheduled run fixes; not_in_server is only ever reported.
+const RECONCILE_FIXABLE = ['missing_role', 'no_membership'];
+
+function getReconcileAutoFix() {
+  return (process.env.RECONCILE_AUTO_FIX || '').split(',').map(c => c.trim()).filter(c => RECONCILE_FIXABLE.includes(c));
+}
+
+function formatReconcileReport(report, fix) {
+  const fixed = category => (fix.includes(category) ? ' — fixed' : '');
+  const outcome = item => (item.error ? ` | ⚠️ ${item.error}` : '');
+  return [
+    `**Entitled but missing the membership role (${report.missing_role.length})${fixed('missing_role')}**`,
+    ...report.missing_role.map(i => `• <@${i.discordId}> (${i.discordId}) | ${i.sources.join(', ')} | missing: ${i.roleIds.map(id => `<@&${id}>`).join(' ')}${outcome(i)}`),
+    `**Membership role without an active membership (${report.no_membership.length})${fixed('no_membership')}**`,
+    ...report.no_membership.map(i => `• <@${i.discordId}> (${i.tag})${outcome(i)}`),
+    `**Active membership, account not in the server (${report.not_in_server.length})**`,
+    ...report.not_in_server.map(i => `• ${i.discordId} | ${i.sources.join(', ')}`)
+  ];
+}
+
+// fix: categories to repair in this run; everything is reported either way
+async function runRoleReconciliation({ fix = getReconcileAutoFix(), moderator = 'SYSTEM' } = {}) {
+  appendBotLog('INFO', 'Running role reconciliation...', { fix });
+
+  try {
+    const memberRoleId = process.env.MEMBER_ROLE_ID;
+    if (!memberRoleId) return { success: false, error: 'MEMBER_ROLE_ID not configured' };
+
+    const guild = await client.guilds.fetch(process.env.GUILD_ID);
+    const members = await guild.members.fetch();
+
+    // discordId -> what entitles the account to membership, and the roles that come with it
+    const entitled = new Map();
+    const entitle = (discordId, source, roleIds = []) => {
+      const entry = entitled.get(`${discordId}`) || { sources: [], roleIds: new Set([memberRoleId]) };
+      entry.sources.push(source);
+      for (const roleId of roleIds) if (roleId) entry.roleIds.add(roleId);
+      entitled.set(`${discordId}`, entry);
+    };
+    for (const order of await woocommerce.findActiveLinkedOrders()) {
+      entitle(orderMetaValue(order, 'discord_id'), `Order #${order.id}`, resolveOrderTiers(order).flatMap(tier => resolveRoleIds(tier.roles)));
+    }
+    for (const row of webinarStore.read()) {
+      if (row.discord_id && isWebinarRowUsed(row)) entitle(row.discord_id, `Webinar ${row.activation_uuid}`, [process.env.LIFETIME_ROLE_ID]);
+    }
+    for (const { batch, use } of campaignStore.findActiveGrants()) {
+      entitle(use.discordId, `Campaign ${batch?.campaign}`, batch?.roles || []);
+    }
+    for (const grant of manualGrants.all()) {
+      entitle(grant.userId, `Manual grant by ${grant.moderator}`, grant.lifetime ? [process.env.LIFETIME_ROLE_ID] : []);
+    }
+
+    const report = { missing_role: [], no_membership: [], not_in_server: [] };
+    for (const [discordId, entry] of entitled) {
+      const member = members.get(discordId);
+      if (!member) {
+        report.not_in_server.push({ discordId, sources: entry.sources });
+        continue;
+      }
+      if (member.roles.cache.has(memberRoleId)) continue;
+      const roleIds = [...entry.roleIds].filter(id => !member.roles.cache.has(id));
+      report.missing_role.push({ discordId, tag: member.user.tag, sources: entry.sources, roleIds, member });
+    }
+
+    const adminRoleId = process.env.ADMIN_ROLE_ID;
+    // Allow-list for members who hold the role for reasons the bot can't see (partners, speakers, ...)
+    const exemptRoleIds = (process.env.RECONCILE_EXEMPT_ROLE_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+    const roleHolders = members.filter(m => m.roles.cache.has(memberRoleId) && !m.user.bot);
+    for (const member of roleHolders.values()) {
+      if (entitled.has(member.id)) continue;
+      const staff = member.permissions.has(PermissionFlagsBits.ManageRoles) || (adminRoleId && member.roles.cache.has(adminRoleId));
+      const exempt = exemptRoleIds.some(id => member.roles.cache.has(id));
+      if (!staff && !exempt) report.no_membership.push({ discordId: member.id, tag: member.user.tag });
+    }
+
+    if (fix.includes('missing_role')) {
+      for (const item of report.missing_role) {
+        try {
+          await item.member.roles.add(item.roleIds, 'Role reconciliation: active membership without the role');
+          await logModAction(guild, 'Membership Restored', item.member, `Role reconciliation: ${item.sources.join(', ')}`, moderator);
+        } catch (err) {
+          item.error = err.message;
+          appendBotLog('ERROR', 'Reconciliation failed to add roles', { discordId: item.discordId, roleIds: item.roleIds, error: err.message });
+        }
+      }
+    }
+    if (fix.includes('no_membership')) {
+      for (const item of report.no_membership) {
+        const result = await removeMember(guild, item.discordId, 'Role reconciliation: no active membership', moderator, [process.env.GRACE_ROLE_ID].filter(Boolean));
+        if (!result.success) item.error = result.error;
+      }
+    }
+
+    const counts = Object.fromEntries(Object.entries(report).map(([category, items]) => [category, items.length]));
+    const total = counts.missing_role + counts.no_membership + counts.not_in_server;
+    appendBotLog('INFO', 'Role reconciliation finished', { fix, roleHolders: roleHolders.size, entitled: entitled.size, ...counts });
+
+    const header = total
+      ? `🔍 **Role Reconciliation — ${total} difference(s)** (${roleHolders.size} role holders, ${entitled.size} entitled${fix.length ? `, fixing: ${fix.join(', ')}` : ', report only'})`
+      : `🟢 **Role Reconciliation**\nDiscord and WooCommerce agree (${roleHolders.size} role holders, ${entitled.size} entitled)`;
+    await postAdminReport(header, total ? formatReconcileReport(report, fix) : []);
+
+    for (const item of report.missing_role) delete item.member;
+    return { success: true, fix, roleHolders: roleHolders.size, entitled: entitled.size, counts, report };
+  } catch (err) {
+    appendBotLog('ERROR', 'Error running role reconciliation', { error: err.message });
+    await logCritical('Role Reconciliation Error', { error: err.message });
+    return { success: false, error: err.message };
+  }
+}
+
+// Jobs catch their own errors; a run failed if it returns { success: false } or an error
+function scheduleJob(job, expression, run) {
+  cron.schedule(expression, () => runWithCorrelationId(newCorrelationId(job), async () => {
+    const result = await run().catch(err => ({ success: false, error: err.message }));
+    const ok = result?.success !== false && !result?.error;
+    cronRuns.inc({ job, outcome: ok ? 'success' : 'failure' });
+    if (ok) cronLastSuccess.set({ job }, Math.floor(Date.now() / 1000));
+  }));
+}
+
 // Schedule daily run (default: 5:00 AM UTC; for UTC+7, that's 12:00 PM)
-cron.schedule("0 5 * * *", runExpiryCheck);
-cron.schedule("0 6 * * *", runExpiryReminder);
+scheduleJob('expiry-check', "0 5 * * *", () => runExpiryCheck());
+scheduleJob('expiry-reminder', "0 6 * * *", () => runExpiryReminder());
+scheduleJob('order-sync', process.env.ORDER_SYNC_CRON || "*/15 * * * *", () => runOrderSync());
+scheduleJob('order-rebuild', process.env.ORDER_REBUILD_CRON || "30 3 * * *", () => runOrderSync({ full: true }));
+scheduleJob('outbox-retry', "* * * * *", () => runOutboxRetry());
+scheduleJob('ban-expiry', "* * * * *", () => runBanExpiry());
+scheduleJob('coupon-redemptions', "0 7 * * *", () => runCouponRedemptionCheck());
+scheduleJob('role-reconciliation', process.env.RECONCILE_CRON || "0 4 * * *", () => runRoleReconciliation());
+
+// Sync the order index on demand; { "full": true } rebuilds it from scratch
+app.post('/orders/reindex', requireScope('jobs:run'), async (req, res) => {
+  try {
+    const result = await runOrderSync({ full: req.body?.full === true });
+    return res.status(result.success ? 200 : 500).json(result);
+  } catch (e) {
+    appendBotLog('ERROR', 'Error in /orders/reindex endpoint', { error: e.message });
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
 
-// Temporary test API to run expiry check on demand (protected)
-app.post('/run-expiry-check', async (req, res) => {
+// --- WEBINAR CODES API ---
+// Upload a batch as the raw CSV body (Content-Type: text/csv); claimed codes are kept as-is
+app.post('/webinar/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb', verify: (req, res, buf) => { req.rawBody = buf; } }), requireScope('webinar:write'), async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ success: false, error: 'CSV body is required (Content-Type: text/csv)' });
+    }
+
+    const summary = await webinarStore.importCsv(req.body);
+    appendBotLog('INFO', 'Webinar batch imported', { via: apiModerator(req), ...summary });
+    return res.json({ success: true, ...summary });
+  } catch (e) {
+    appendBotLog('ERROR', 'Error in /webinar/import endpoint', { error: e.message });
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+app.get('/webinar/export', requireScope('webinar:read'), (req, res) => {
+  try {
+    res.type('text/csv').attachment('webinar-codes.csv').send(webinarStore.export());
+  } catch (e) {
+    appendBotLog('ERROR', 'Error in /webinar/export endpoint', { error: e.message });
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// --- GENERATED CODES API ---
+// Body: { campaign, count, roles?: [roleId], months?, code_expires_at?, max_uses? }
+app.post('/codes/batches', requireScope('codes:write'), async (req, res) => {
+  try {
+    const { campaign, count, roles = [], months = null, code_expires_at = null, max_uses = 1 } = req.body || {};
+    if (!Array.isArray(roles)) {
+      return res.status(400).json({ success: false, error: 'roles must be an array of role IDs' });
+    }
+    const guild = await client.guilds.fetch(process.env.GUILD_ID);
+    const unassignable = await findUnassignableRoles(guild, roles.map(r => `${r}`));
+    if (unassignable.length) {
+      return res.status(400).json({ success: false, error: `The bot can't grant these roles: ${unassignable.join(', ')}` });
+    }
+
+    let created;
+    try {
+      created = campaignStore.createBatch({ campaign, count, roles, months, codeExpiresAt: code_expires_at, maxUses: max_uses, createdBy: apiModerator(req) });
+    } catch (validationErr) {
+      return res.status(400).json({ success: false, error: validationErr.message });
+    }
+
+    appendBotLog('INFO', 'Code batch created', { via: apiModerator(req), batchId: created.batch.id, campaign, count: created.codes.length });
+    return res.json({ success: true, batch: created.batch, codes: created.codes });
+  } catch (e) {
+    appendBotLog('ERROR', 'Error in /codes/batches endpoint', { error: e.message });
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// ?campaign=<name> or ?batch=<id>
+app.get('/codes/export', requireScope('codes:read'), (req, res) => {
   try {
-    const authHeader = req.headers['x-api-key'];
-    if (authHeader !== process.env.DISCORD_API_SECRET) {
-      return res.status(403).json({ success: false, error: 'Unauthorized' });
+    const { campaign, batch } = req.query;
+    if (!campaign && !batch) {
+      return res.status(400).json({ success: false, error: 'campaign or batch is required' });
     }
 
-    const result = await runExpiryCheck();
+    res.type('text/csv')
+      .attachment(`codes-${campaign || batch}.csv`)
+      .send(campaignStore.exportCsv({ campaign: campaign || null, batchId: batch || null }));
+  } catch (e) {
+    appendBotLog('ERROR', 'Error in /codes/export endpoint', { error: e.message });
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// `?dry_run=true` or { "dry_run": true } reports the plan without changing anything
+function isDryRunRequest(req) {
+  return req.query?.dry_run === 'true' || req.body?.dry_run === true;
+}
+
+// Temporary test API to run expiry check on demand (protected)
+app.post('/run-expiry-check', requireScope('jobs:run'), async (req, res) => {
+  try {
+    const result = await runExpiryCheck({ dryRun: isDryRunRequest(req) });
     return res.json(result);
   } catch (e) {
     appendBotLog('ERROR', 'Error in /run-expiry-check endpoint', { error: e.message });
@@ -1073,72 +3281,148 @@ app.post('/run-expiry-check', async (req, res) => {
   }
 });
 
-app.post('/run-expiry-reminder', async (req, res) => {
+app.post('/run-expiry-reminder', requireScope('jobs:run'), async (req, res) => {
+  try {
+    const result = await runExpiryReminder({ dryRun: isDryRunRequest(req) });
+    return res.json(result);
+  } catch (e) {
+    appendBotLog('ERROR', 'Error in /run-expiry-reminder endpoint', { error: e.message });
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Role reconciliation on demand; { "fix": ["missing_role", "no_membership"] } (or "all") repairs
+// those categories, otherwise the differences are only reported
+app.post('/run-reconcile', requireScope('jobs:run'), async (req, res) => {
   try {
-    const authHeader = req.headers['x-api-key'];
-    if (authHeader !== process.env.DISCORD_API_SECRET) {
-      return res.status(403).json({ success: false, error: 'Unauthorized' });
+    const requested = req.body?.fix === 'all' ? RECONCILE_FIXABLE : (req.body?.fix ?? []);
+    if (!Array.isArray(requested) || requested.some(c => !RECONCILE_FIXABLE.includes(c))) {
+      return res.status(400).json({ success: false, error: `fix must be "all" or a list of: ${RECONCILE_FIXABLE.join(', ')}` });
     }
 
-    const result = await runExpiryReminder();
+    const result = await runRoleReconciliation({ fix: requested, moderator: apiModerator(req) });
     return res.json(result);
   } catch (e) {
-    appendBotLog('ERROR', 'Error in /run-expiry-reminder endpoint', { error: e.message });
+    appendBotLog('ERROR', 'Error in /run-reconcile endpoint', { error: e.message });
     return res.status(500).json({ success: false, error: e.message });
   }
 });
 
-app.post('/test/mailketing', async (req, res) => {
+// Renewal coupon conversion; ?days=N limits it to coupons issued in the last N days
+app.get('/coupons/report', requireScope('coupons:read'), (req, res) => {
+  const days = req.query.days ? parseInt(req.query.days, 10) : null;
+  if (days !== null && !(days > 0)) {
+    return res.status(400).json({ success: false, error: 'days must be a positive integer' });
+  }
+  const since = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null;
+  return res.json({ success: true, ...renewalCoupons.report({ since }) });
+});
+
+// Render the reminder/grace copy for an order; with sendTo, also mail the reminder there
+app.post('/templates/preview', requireScope('mail:test'), async (req, res) => {
   try {
-    const authHeader = req.headers['x-api-key'];
-    if (authHeader !== process.env.DISCORD_API_SECRET) {
-      return res.status(403).json({ success: false, error: 'Unauthorized' });
+    const { orderId, template = 'reminder', days = 1, language = null, sendTo = null } = req.body || {};
+    if (!orderId) {
+      return res.status(400).json({ success: false, error: 'orderId is required' });
+    }
+    if (!['reminder', 'grace'].includes(template)) {
+      return res.status(400).json({ success: false, error: 'template must be reminder or grace' });
+    }
+    if (!Number.isInteger(days) || days < 0) {
+      return res.status(400).json({ success: false, error: 'days must be a non-negative integer' });
+    }
+    if (sendTo && template !== 'reminder') {
+      return res.status(400).json({ success: false, error: 'only the reminder has an email to send' });
     }
 
-    const {
-      email,
-      firstName = 'Brian',
-      durationLabel = '1 Tahun',
-      expiryDate = new Date(Date.now() + 24 * 60 * 60 * 1000),
-      renewUrl = 'https://s.id/PerpanjangCTA_TEST'
-    } = req.body || {};
-
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        error: 'email is required'
-      });
+    const order = await woocommerce.getOrder(orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, error: `Order #${orderId} not found` });
     }
 
-    const expiryFormatted = formatDateIndonesia(new Date(expiryDate));
+    const preview = renderTemplatePreview(order, { template, days, language });
+    if (!preview.success) {
+      return res.status(422).json(preview);
+    }
 
-    const result = await sendExpiryReminderEmail({
-      firstName,
-      email,
-      durationLabel,
-      expiryDateFormatted: expiryFormatted,
-      renewUrl
-    });
+    if (sendTo) {
+      preview.sent = await sendExpiryReminderEmail({ email: sendTo, subject: preview.subject, html: preview.emailHtml });
+      appendBotLog('INFO', 'Template preview email sent', { orderId, sendTo, language: preview.language, result: preview.sent });
+    }
 
-    return res.json({
-      success: true,
-      sentTo: email,
-      preview: {
-        firstName,
-        durationLabel,
-        expiryDateFormatted: expiryFormatted,
-        renewUrl
-      },
-      result
-    });
+    return res.json({ ...preview, orderId });
   } catch (err) {
-    appendBotLog('ERROR', 'Mailketing test API failed', { error: err.message });
+    appendBotLog('ERROR', 'Template preview failed', { error: err.message });
     return res.status(500).json({ success: false, error: err.message });
   }
 });
 
+// --- HEALTH & METRICS ---
+// Unauthenticated so probes and the Prometheus scraper can reach them; they expose no member data
+const READINESS_CHECK_TIMEOUT_MS = 5000;
+// The WooCommerce and webinar CSV checks are reused for this long, so frequent
+// probes don't turn into a stream of shop API calls and full CSV reads
+const READINESS_CACHE_MS = parseInt(process.env.READINESS_CACHE_SECONDS || '30', 10) * 1000;
+const readinessCache = new Map();
+
+function withTimeout(promise, ms) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms).unref())
+  ]);
+}
+
+async function readinessCheck(fn) {
+  try {
+    const detail = await withTimeout(Promise.resolve().then(fn), READINESS_CHECK_TIMEOUT_MS);
+    return detail ? { ok: true, detail } : { ok: true };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+// Concurrent probes share the one check in flight as well
+function cachedReadinessCheck(name, fn) {
+  const cached = readinessCache.get(name);
+  if (cached && Date.now() - cached.at < READINESS_CACHE_MS) return cached.result;
+  const result = readinessCheck(fn);
+  readinessCache.set(name, { at: Date.now(), result });
+  return result;
+}
+
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.floor(process.uptime()) });
+});
+
+app.get('/readyz', async (req, res) => {
+  const [discord, guild, wooCommerce, webinarCsv] = await Promise.all([
+    readinessCheck(() => {
+      if (!client.isReady()) throw new Error(`gateway not ready (status ${client.ws.status})`);
+      return `gateway ready, ping ${client.ws.ping}ms`;
+    }),
+    readinessCheck(async () => (await client.guilds.fetch(process.env.GUILD_ID)).name),
+    cachedReadinessCheck('woocommerce', () => woocommerce.ping().then(() => null)),
+    cachedReadinessCheck('webinarCsv', () => {
+      // No file just means no webinar codes have been imported yet
+      if (!fs.existsSync(webinarStore.csvPath)) return 'no CSV yet';
+      fs.accessSync(webinarStore.csvPath, fs.constants.R_OK | fs.constants.W_OK);
+      return `${webinarStore.read().length} rows`;
+    })
+  ]);
+
+  const checks = { discord, guild, woocommerce: wooCommerce, webinarCsv };
+  const ready = Object.values(checks).every(c => c.ok);
+  res.status(ready ? 200 : 503).json({ ready, checks });
+});
+
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
 app.listen(3000, () => {
   const msg = '🚀 Server running on port 3000';
   console.log(msg);
   appendBotLog('INFO', msg);
+  // Seed the order index on first run, or catch up on changes missed while offline
+  runOrderSync();
 });
\ No newline at end of file
@@ -0,0 +1,32 @@
+import fs from 'fs';
+import { appendBotLog } from './logger.js';
+
+// --- JSON FILE HELPERS ---
+// Shared by the small file-backed stores (order index, reminder ledger, ...)
+
+// A file that exists but doesn't parse is never quietly swapped for the
+// defaults, since the next save would wipe what it held. Stores that can rebuild
+// themselves (the order index) pass `rebuildable`: the file is moved aside and
+// they start empty. Every other store refuses to start until it's fixed.
+export function readJsonFile(filePath, fallback, { rebuildable = false } = {}) {
+  if (!fs.existsSync(filePath)) return fallback;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    if (!rebuildable) {
+      appendBotLog('CRITICAL', 'Data file is not valid JSON, refusing to start', { filePath, error: e.message });
+      throw new Error(`${filePath} is not valid JSON (${e.message}); restore it from a backup or move it aside to start empty`);
+    }
+    const asidePath = `${filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    fs.renameSync(filePath, asidePath);
+    appendBotLog('ERROR', 'Data file is not valid JSON, moved aside and starting empty', { filePath, asidePath, error: e.message });
+    return fallback;
+  }
+}
+
+// Write to a temp file first so a crash mid-write never leaves a truncated file
+export function writeJsonFileAtomic(filePath, data) {
+  const tmpPath = filePath + '.tmp';
+  fs.writeFileSync(tmpPath, JSON.stringify(data), 'utf8');
+  fs.renameSync(tmpPath, filePath);
+}
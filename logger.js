@@ -0,0 +1,183 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// --- STRUCTURED LOGGING ---
+// JSON-lines loggers shared by index.js and woocommerce-service.js. Lines are
+// buffered and appended asynchronously, so logging never blocks the event loop.
+// Files rotate by size (LOG_ROTATE=size, LOG_MAX_SIZE_MB) or by day
+// (LOG_ROTATE=daily); LOG_RETAIN rotated files are kept per log. LOG_LEVEL drops
+// anything below it. Every line written inside runWithCorrelationId carries the
+// same `cid`, so one activation or API call can be followed across both files.
+export const LOG_LEVELS = { DEBUG: 10, INFO: 20, WARN: 30, ERROR: 40, CRITICAL: 50 };
+
+const DEFAULTS = {
+  level: (process.env.LOG_LEVEL || 'INFO').toUpperCase(),
+  rotate: process.env.LOG_ROTATE || 'size',
+  maxBytes: parseFloat(process.env.LOG_MAX_SIZE_MB || '10') * 1024 * 1024,
+  retain: parseInt(process.env.LOG_RETAIN || '7', 10),
+  flushIntervalMs: parseInt(process.env.LOG_FLUSH_INTERVAL_MS || '1000', 10),
+  console: process.env.LOG_CONSOLE === 'true'
+};
+
+// Flush early once this much is waiting
+const MAX_BUFFER_BYTES = 256 * 1024;
+
+const correlation = new AsyncLocalStorage();
+
+export function newCorrelationId(prefix = '') {
+  const id = crypto.randomUUID().slice(0, 12);
+  return prefix ? `${prefix}-${id}` : id;
+}
+
+// Run fn with a correlation ID that every log line written during it will carry
+export function runWithCorrelationId(id, fn) {
+  return correlation.run(id || newCorrelationId(), fn);
+}
+
+export function getCorrelationId() {
+  return correlation.getStore() || null;
+}
+
+const openLoggers = new Set();
+
+class FileLogger {
+  constructor(filePath, options) {
+    this.filePath = filePath;
+    this.options = options;
+    this.threshold = LOG_LEVELS[options.level] ?? LOG_LEVELS.INFO;
+    this.buffer = [];
+    this.bufferBytes = 0;
+    this.timer = null;
+    this.writing = Promise.resolve();
+    // Size and start date of the current file, read from disk on the first flush
+    this.size = null;
+    this.fileDate = null;
+  }
+
+  isEnabled(level) {
+    return (LOG_LEVELS[level] ?? LOG_LEVELS.INFO) >= this.threshold;
+  }
+
+  // fields: the line's own keys; ts, level and cid are added here
+  write(level, fields) {
+    if (!this.isEnabled(level)) return;
+    const cid = getCorrelationId();
+    const line = JSON.stringify({ ts: new Date().toISOString(), level, ...(cid ? { cid } : {}), ...fields }) + '\n';
+    if (this.options.console) process.stdout.write(line);
+
+    this.buffer.push(line);
+    this.bufferBytes += Buffer.byteLength(line);
+    if (this.bufferBytes >= MAX_BUFFER_BYTES) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.options.flushIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  log(level, message, data = {}) {
+    this.write(level, { message, ...data });
+  }
+
+  // Writes are chained so lines land in order and rotation never races an append
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (!this.buffer.length) return this.writing;
+
+    const chunk = this.buffer.join('');
+    this.buffer = [];
+    this.bufferBytes = 0;
+    this.writing = this.writing
+      .then(() => this.append(chunk))
+      .catch(err => console.error(`Failed to write log ${this.filePath}:`, err.message));
+    return this.writing;
+  }
+
+  async append(chunk) {
+    if (this.size === null) {
+      const stat = await fs.promises.stat(this.filePath).catch(() => null);
+      this.size = stat?.size || 0;
+      this.fileDate = (stat?.mtime || new Date()).toISOString().slice(0, 10);
+    }
+
+    const chunkBytes = Buffer.byteLength(chunk);
+    const today = new Date().toISOString().slice(0, 10);
+    const due = this.options.rotate === 'daily'
+      ? this.fileDate !== today
+      : this.size > 0 && this.size + chunkBytes > this.options.maxBytes;
+    if (due) await this.rotate();
+
+    await fs.promises.appendFile(this.filePath, chunk);
+    this.size += chunkBytes;
+    this.fileDate = this.fileDate || today;
+  }
+
+  // bot-activity.log -> bot-activity.2026-10-17.log (daily) or bot-activity.<timestamp>.log (size)
+  async rotate() {
+    const { dir, name, ext } = path.parse(this.filePath);
+    const stamp = this.options.rotate === 'daily' ? this.fileDate : new Date().toISOString().replace(/[:.]/g, '-');
+    await fs.promises.rename(this.filePath, path.join(dir, `${name}.${stamp}${ext}`)).catch(err => {
+      if (err.code !== 'ENOENT') throw err;
+    });
+    this.size = 0;
+    this.fileDate = new Date().toISOString().slice(0, 10);
+
+    // Stamps sort chronologically, so the newest rotated files are last
+    const rotated = (await fs.promises.readdir(dir || '.'))
+      .filter(f => f.startsWith(`${name}.`) && f.endsWith(ext) && f !== `${name}${ext}`)
+      .sort();
+    for (const old of rotated.slice(0, Math.max(0, rotated.length - this.options.retain))) {
+      await fs.promises.unlink(path.join(dir, old)).catch(() => {});
+    }
+  }
+
+  // Last resort on exit: whatever is still buffered is written synchronously
+  flushSync() {
+    if (!this.buffer.length) return;
+    try {
+      fs.appendFileSync(this.filePath, this.buffer.join(''));
+    } catch (err) {
+      console.error(`Failed to write log ${this.filePath}:`, err.message);
+    }
+    this.buffer = [];
+    this.bufferBytes = 0;
+  }
+}
+
+export function createLogger(filePath, options = {}) {
+  const logger = new FileLogger(filePath, { ...DEFAULTS, ...options });
+  openLoggers.add(logger);
+  return logger;
+}
+
+// The bot's activity log, shared by index.js and the file-backed stores
+const BOT_LOG_FILE = process.env.BOT_LOG_FILE || path.join(process.cwd(), 'bot-activity.log');
+const botLogger = createLogger(BOT_LOG_FILE);
+
+export function appendBotLog(level, message, data = {}) {
+  botLogger.log(level, message, data);
+}
+
+export function flushLogs() {
+  return Promise.all([...openLoggers].map(logger => logger.flush()));
+}
+
+process.on('exit', () => {
+  for (const logger of openLoggers) logger.flushSync();
+});
+
+// A signal would otherwise end the process without waiting for writes already
+// under way; give them a few seconds, then exit with the usual signal status
+const SHUTDOWN_FLUSH_TIMEOUT_MS = 5000;
+
+for (const [signal, exitCode] of [['SIGTERM', 143], ['SIGINT', 130]]) {
+  process.once(signal, () => {
+    setTimeout(() => process.exit(exitCode), SHUTDOWN_FLUSH_TIMEOUT_MS).unref();
+    flushLogs().finally(() => process.exit(exitCode));
+  });
+}
@@ -0,0 +1,42 @@
+import path from 'path';
+import { readJsonFile, writeJsonFileAtomic } from './json-file.js';
+
+// --- MANUAL GRANTS ---
+// Memberships staff granted by hand (/admin grant without an order, /mod/grant),
+// keyed by Discord ID. Nothing in WooCommerce backs them, so this is what tells
+// role reconciliation and the expiry check that the member is entitled. A grant
+// lasts until the membership role is removed.
+const MANUAL_GRANTS_FILE = process.env.MANUAL_GRANTS_FILE || path.join(process.cwd(), 'manual-grants.json');
+
+export class ManualGrantStore {
+  constructor(filePath = MANUAL_GRANTS_FILE) {
+    this.filePath = filePath;
+    this.users = readJsonFile(filePath, {}).users || {};
+  }
+
+  save() {
+    writeJsonFileAtomic(this.filePath, { users: this.users });
+  }
+
+  record(userId, { userTag = null, lifetime = false, reason = '', moderator = 'SYSTEM' } = {}) {
+    const grant = { userTag, lifetime, reason, moderator, grantedAt: new Date().toISOString() };
+    this.users[userId] = grant;
+    this.save();
+    return grant;
+  }
+
+  get(userId) {
+    return this.users[userId] || null;
+  }
+
+  all() {
+    return Object.entries(this.users).map(([userId, grant]) => ({ userId, ...grant }));
+  }
+
+  end(userId) {
+    if (!this.users[userId]) return false;
+    delete this.users[userId];
+    this.save();
+    return true;
+  }
+}
@@ -0,0 +1,127 @@
+import fs from 'fs';
+import path from 'path';
+import { t, interpolate, SUPPORTED_LANGUAGES } from './messages.js';
+
+// --- EDITABLE REMINDER TEMPLATES ---
+// The renewal reminder (DM, email, subject) and grace-period copy can be
+// overridden per language from MESSAGE_TEMPLATES_FILE without a deploy; keys
+// that aren't overridden fall back to messages.js. A template is an inline
+// string or `{ "file": "..." }` relative to the templates file. Placeholders are
+// checked on load, so a typo like {fristName} is rejected instead of mailed out.
+// The file can also set the shared `voucher` and its `voucherPercent`.
+const MESSAGE_TEMPLATES_FILE = process.env.MESSAGE_TEMPLATES_FILE || path.join(process.cwd(), 'message-templates.json');
+
+const DEFAULT_VOUCHER = process.env.RENEWAL_VOUCHER || 'MEMBER10';
+const DEFAULT_VOUCHER_PERCENT = parseFloat(process.env.RENEWAL_VOUCHER_PERCENT || '10');
+
+const REMINDER_VARS = ['firstName', 'durationLabel', 'expiryDateFormatted', 'renewUrl', 'voucher', 'percent', 'whenText'];
+
+// Editable catalogue keys and the placeholders each one may use
+export const TEMPLATE_VARIABLES = {
+  'reminder.dm': REMINDER_VARS,
+  'reminder.email': REMINDER_VARS,
+  'reminder.subject.today': [...REMINDER_VARS, 'days'],
+  'reminder.subject.tomorrow': [...REMINDER_VARS, 'days'],
+  'reminder.subject.days': [...REMINDER_VARS, 'days'],
+  'reminder.when.today': ['days'],
+  'reminder.when.tomorrow': ['days'],
+  'reminder.when.days': ['days'],
+  'grace.dm': ['firstName', 'durationLabel', 'expiryDateFormatted', 'graceEndFormatted', 'renewUrl', 'voucher', 'percent']
+};
+
+let overrides = null;
+let voucher = DEFAULT_VOUCHER;
+let voucherPercent = DEFAULT_VOUCHER_PERCENT;
+let source = null;
+
+export function findUnknownPlaceholders(key, text) {
+  const allowed = TEMPLATE_VARIABLES[key] || [];
+  const used = [...text.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+  return [...new Set(used.filter(name => !allowed.includes(name)))];
+}
+
+function readTemplate(value, baseDir, where) {
+  if (typeof value === 'string') return value;
+  if (typeof value?.file === 'string') return fs.readFileSync(path.resolve(baseDir, value.file), 'utf8');
+  throw new Error(`${where}: template must be a string or { "file": "..." }`);
+}
+
+function validateTemplates(raw, baseDir) {
+  const validated = {};
+  for (const [lang, templates] of Object.entries(raw.templates || {})) {
+    if (!SUPPORTED_LANGUAGES.includes(lang)) {
+      throw new Error(`templates.${lang}: unsupported language (use ${SUPPORTED_LANGUAGES.join(', ')})`);
+    }
+    validated[lang] = {};
+    for (const [key, value] of Object.entries(templates || {})) {
+      const where = `templates.${lang}["${key}"]`;
+      if (!TEMPLATE_VARIABLES[key]) {
+        throw new Error(`${where}: not an editable template (editable: ${Object.keys(TEMPLATE_VARIABLES).join(', ')})`);
+      }
+      const text = readTemplate(value, baseDir, where);
+      const unknown = findUnknownPlaceholders(key, text);
+      if (unknown.length) {
+        throw new Error(`${where}: unknown placeholder(s) ${unknown.map(n => `{${n}}`).join(', ')}; allowed: ${TEMPLATE_VARIABLES[key].map(n => `{${n}}`).join(', ')}`);
+      }
+      validated[lang][key] = text;
+    }
+  }
+  if (raw.voucher != null && typeof raw.voucher !== 'string') {
+    throw new Error('voucher must be a string');
+  }
+  if (raw.voucherPercent != null && !(typeof raw.voucherPercent === 'number' && raw.voucherPercent > 0 && raw.voucherPercent <= 100)) {
+    throw new Error('voucherPercent must be a number between 0 and 100');
+  }
+  return validated;
+}
+
+// (Re)load the templates from disk. The file is validated as a whole before it
+// replaces the current templates, so a bad edit never goes half-live and a
+// failed reload keeps the last good templates. index.js loads them at startup.
+export function loadMessageTemplates(filePath = MESSAGE_TEMPLATES_FILE) {
+  if (!fs.existsSync(filePath)) {
+    overrides = {};
+    voucher = DEFAULT_VOUCHER;
+    voucherPercent = DEFAULT_VOUCHER_PERCENT;
+    source = 'defaults';
+    return overrides;
+  }
+
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const validated = validateTemplates(raw, path.dirname(filePath));
+  overrides = validated;
+  voucher = raw.voucher ?? DEFAULT_VOUCHER;
+  voucherPercent = raw.voucherPercent ?? DEFAULT_VOUCHER_PERCENT;
+  source = filePath;
+  return overrides;
+}
+
+export function getMessageTemplatesSource() {
+  if (!overrides) loadMessageTemplates();
+  return source;
+}
+
+export function getRenewalVoucher() {
+  if (!overrides) loadMessageTemplates();
+  return voucher;
+}
+
+// The discount the shared voucher gives, shown to members as {percent}
+export function getRenewalVoucherPercent() {
+  if (!overrides) loadMessageTemplates();
+  return voucherPercent;
+}
+
+// Which editable keys are overridden, per language
+export function listTemplateOverrides() {
+  if (!overrides) loadMessageTemplates();
+  return Object.fromEntries(SUPPORTED_LANGUAGES.map(lang => [lang, Object.keys(overrides[lang] || {})]));
+}
+
+// Render an editable template; `voucher` and `percent` default to the shared voucher's
+export function renderTemplate(lang, key, vars = {}) {
+  if (!overrides) loadMessageTemplates();
+  const allVars = { voucher, percent: voucherPercent, ...vars };
+  const override = overrides[lang]?.[key];
+  return override != null ? interpolate(override, allVars) : t(lang, key, allVars);
+}
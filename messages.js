@@ -0,0 +1,272 @@
+// --- MEMBER-FACING MESSAGES ---
+// Every text a member sees (replies, DMs, the activation panel, reminder emails)
+// comes from this catalogue. Activation replies are keyed by the result codes of
+// activateOrderForDiscordUser (`activation.<CODE>`). `{name}` placeholders are
+// filled from the vars passed to t(); unknown ones are left as they are.
+export const SUPPORTED_LANGUAGES = ['id', 'en'];
+
+export const DEFAULT_LANGUAGE = SUPPORTED_LANGUAGES.includes(process.env.DEFAULT_LANGUAGE)
+  ? process.env.DEFAULT_LANGUAGE
+  : 'id';
+
+const CATALOGUE = {
+  id: {
+    'language.name': 'Bahasa Indonesia',
+    'language.set': 'Bahasa bot untuk kamu sekarang **{language}**.',
+    'language.reset': 'Preferensi bahasa dihapus — bot akan mengikuti bahasa Discord kamu.',
+    'language.usage': 'Cara pakai: !language id | en | auto',
+
+    'command.activate': 'Aktivasi keanggotaan kamu dengan kode yang kamu dapatkan saat pembelian',
+    'command.activate.code': 'Kode aktivasi (UUID)',
+    'command.membership': 'Cek kapan keanggotaan kamu habis',
+    'command.language': 'Pilih bahasa yang dipakai bot untuk kamu',
+    'command.language.option': 'Bahasa, atau auto untuk mengikuti bahasa Discord kamu',
+
+    'activation.OK': 'Aktivasi berhasil — role kamu sudah diberikan. Selamat bergabung!',
+    'activation.OK_PENDING': 'Role kamu sudah diberikan, tetapi aktivasi kamu masih menunggu dicatat di sistem kami. Kamu tidak perlu melakukan apa-apa; jika role kamu hilang, hubungi support.',
+    'activation.NOT_FOUND': 'Kode tersebut tidak ditemukan atau sudah pernah digunakan. Jika menurutmu ini keliru, hubungi support.',
+    'activation.ALREADY_USED': 'Kode tersebut tidak ditemukan atau sudah pernah digunakan. Jika menurutmu ini keliru, hubungi support.',
+    'activation.CLAIM_PENDING': 'Kode tersebut tidak ditemukan atau sudah pernah digunakan. Jika menurutmu ini keliru, hubungi support.',
+    'activation.CODE_EXPIRED': 'Kode aktivasi tersebut sudah kedaluwarsa. Jika menurutmu ini keliru, hubungi support.',
+    'activation.RATE_LIMITED': 'Terlalu banyak percobaan aktivasi. Silakan coba lagi dalam {minutes} menit.',
+    'activation.NOT_IN_GUILD': 'Kamu harus bergabung ke server terlebih dahulu lewat link undangan permanen, lalu coba aktivasi lagi.',
+    'activation.NO_ROLE_CONFIG': 'Server belum dikonfigurasi dengan benar. Hubungi admin.',
+    'activation.WC_UPDATE_FAILED': 'Aktivasi kamu gagal dicatat, jadi belum diterapkan dan kode kamu masih berlaku. Admin sudah diberi tahu — silakan coba lagi nanti.',
+    'activation.ERROR': 'Terjadi kesalahan saat mengaktivasi kode kamu. Silakan coba lagi nanti atau hubungi support.',
+    'activation.usage': 'Cara pakai: /activate <kode> — masukkan kode aktivasi yang kamu dapatkan saat pembelian.',
+    'activation.checking': 'Sedang memeriksa kode aktivasi kamu...',
+    'activation.submitted': '{user} mengirimkan kode aktivasi',
+    'activation.submittedCode': '{user} mengirimkan kode: `{code}`',
+
+    'membership.checking': 'Sedang memeriksa status keanggotaan kamu...',
+    'membership.NO_MEMBERSHIP': 'Tidak ada keanggotaan aktif untuk akun kamu. Jika menurutmu ini keliru, hubungi support.',
+    'membership.NO_EXPIRY': 'Keanggotaan aktif ditemukan, tetapi tanggal habisnya belum tercatat. Hubungi support.',
+    'membership.OK': 'Keanggotaan kamu habis pada {expiryDate} ({timezone}). {remaining}',
+    'membership.daysLeft': 'Tersisa {days} hari.',
+    'membership.expiredAgo': 'Sudah habis {days} hari yang lalu.',
+    'membership.error': 'Terjadi kesalahan saat memeriksa keanggotaan kamu. Coba lagi nanti.',
+
+    'renew.OK': 'Perpanjang keanggotaan **{label}** kamu di sini:\n{url}',
+    'renew.DEFAULT': 'Perpanjang keanggotaan kamu di sini:\n{url}',
+    'renew.LIFETIME': 'Keanggotaan kamu lifetime — tidak perlu diperpanjang.',
+    'renew.NONE': 'Belum ada pesanan yang terhubung dengan akun kamu, jadi link perpanjangan belum bisa ditentukan. Hubungi support.',
+    'renew.error': 'Terjadi kesalahan saat mencari link perpanjangan kamu. Coba lagi nanti.',
+
+    'history.header': '**Riwayat pesanan kamu ({count})**',
+    'history.order': '• #{id} — {product} — `{status}` — dibeli {created} — habis {expiry}',
+    'history.oldOrder': '• #{id} — {product} — `{status}` — dibeli {created} (pesanan lama)',
+    'history.webinar': '• Webinar — kode `{code}` — lifetime',
+    'history.more': '…dan {count} lainnya',
+    'history.NONE': 'Belum ada pesanan yang terhubung dengan akun kamu.',
+    'history.error': 'Terjadi kesalahan saat mengambil riwayat kamu. Coba lagi nanti.',
+
+    'error.unexpected': 'Terjadi kesalahan tak terduga. Silakan coba lagi nanti.',
+
+    'panel.title': 'Aktivasi keanggotaan Crypto Teknikal Academy kamu',
+    'panel.description': 'Klik **Aktivasi sekarang** dan isi kode aktivasi yang kamu dapatkan saat pembelian untuk mengaktivasi keanggotaan kamu. Sudah jadi member? Cek status, perpanjang, atau lihat riwayat pesanan kamu lewat tombol di bawah.',
+    'panel.button': 'Aktivasi sekarang',
+    'panel.status': 'Cek Status Membership',
+    'panel.renew': 'Perpanjang',
+    'panel.history': 'Riwayat',
+    'modal.title': 'Masukkan kode aktivasi kamu',
+    'modal.label': 'Kode aktivasi (UUID)',
+    'modal.placeholder': 'contoh: 3f6b9d7a-...',
+
+    'welcome': '👋 Selamat datang {user}, terima kasih sudah bergabung!',
+
+    'reminder.when.today': 'hari ini',
+    'reminder.when.tomorrow': 'esok hari',
+    'reminder.when.days': 'dalam {days} hari',
+    'reminder.subject.today': '⚠️ Reminder: Keanggotaan CTA Anda Habis Hari Ini',
+    'reminder.subject.tomorrow': '⚠️ Reminder: Keanggotaan CTA Anda Akan Habis Besok',
+    'reminder.subject.days': '⏳ Reminder: Keanggotaan CTA Anda Akan Habis dalam {days} Hari',
+    'reminder.dm': `
+Halo {firstName},
+
+Keanggotaan **Crypto Teknikal Academy** kamu yang berdurasi **{durationLabel}** akan habis pada {whenText}, yaitu **{expiryDateFormatted}**.
+Segera lakukan perpanjang membership kamu sebelum habis!
+
+Untuk kamu yang ingin perpanjang, bisa gunakan kode voucher **{voucher}** untuk mendapatkan diskon {percent}% saat perpanjang keanggotaan kamu.
+
+👉 **Perpanjang Keanggotaan Kamu Disini**
+{renewUrl}
+
+Jika link di atas tidak bisa diklik, silakan copy & paste ke browser kamu.
+`,
+    'reminder.email':
+      '<p>Halo {firstName},</p>' +
+      '<p>Keanggotaan <strong>Crypto Teknikal Academy</strong> kamu yang berdurasi <strong>{durationLabel}</strong> akan habis pada {whenText}, yaitu <strong>{expiryDateFormatted}</strong>. Segera lakukan perpanjang membership kamu sebelum habis!</p>' +
+      '<p>Untuk kamu yang ingin perpanjang, bisa gunakan kode voucher <strong>{voucher}</strong> untuk mendapatkan diskon {percent}% saat perpanjang keanggotaan kamu.</p>' +
+      '<p>' +
+        '<a href="{renewUrl}" style="display:inline-block;padding:10px 18px;font-size:16px;color:#ffffff;background-color:#5865F2;text-decoration:none;border-radius:6px;">' +
+          'Perpanjang Keanggotaan Kamu Disini' +
+        '</a>' +
+      '</p>' +
+      '<p>Jika tombol di atas tidak berfungsi, bisa klik link di sini: <a href="{renewUrl}">{renewUrl}</a></p>',
+    'grace.dm': `
+Halo {firstName},
+
+Keanggotaan **Crypto Teknikal Academy** kamu yang berdurasi **{durationLabel}** sudah habis pada **{expiryDateFormatted}**.
+Akses kamu masih aktif selama masa tenggang sampai **{graceEndFormatted}**. Perpanjang sebelum tanggal tersebut agar akses kamu tidak terputus.
+
+👉 **Perpanjang Keanggotaan Kamu Disini**
+{renewUrl}
+
+Jika link di atas tidak bisa diklik, silakan copy & paste ke browser kamu.
+`
+  },
+
+  en: {
+    'language.name': 'English',
+    'language.set': 'The bot will now talk to you in **{language}**.',
+    'language.reset': 'Language preference cleared — the bot will follow your Discord language.',
+    'language.usage': 'Usage: !language id | en | auto',
+
+    'command.activate': 'Activate your membership with the code you received at checkout',
+    'command.activate.code': 'Activation code (UUID)',
+    'command.membership': 'Check when your membership expires',
+    'command.language': 'Choose the language the bot uses with you',
+    'command.language.option': 'Language, or auto to follow your Discord language',
+
+    'activation.OK': 'Activation successful — your role has been granted. Welcome!',
+    'activation.OK_PENDING': 'Your role has been granted, but your activation is still waiting to be recorded on our side. There is nothing you need to do; if your role disappears, contact support.',
+    'activation.NOT_FOUND': 'No valid order found for that code, or it has already been used. If you believe this is an error, contact support.',
+    'activation.ALREADY_USED': 'No valid order found for that code, or it has already been used. If you believe this is an error, contact support.',
+    'activation.CLAIM_PENDING': 'No valid order found for that code, or it has already been used. If you believe this is an error, contact support.',
+    'activation.CODE_EXPIRED': 'That activation code has expired. If you believe this is an error, contact support.',
+    'activation.RATE_LIMITED': 'Too many activation attempts. Please try again in {minutes} minute(s).',
+    'activation.NOT_IN_GUILD': 'Please join the server using the permanent invite link first, then activate again.',
+    'activation.NO_ROLE_CONFIG': 'Server not configured correctly. Contact the admins.',
+    'activation.WC_UPDATE_FAILED': 'We could not record your activation, so it was not applied and your code is still valid. Admins have been alerted — please try again later.',
+    'activation.ERROR': 'An error occurred while activating your code. Please try again later or contact support.',
+    'activation.usage': 'Usage: /activate <code> — please provide the activation code you received at checkout.',
+    'activation.checking': 'Checking your activation code...',
+    'activation.submitted': '{user} submitted an activation code',
+    'activation.submittedCode': '{user} submitted code: `{code}`',
+
+    'membership.checking': 'Checking your membership status...',
+    'membership.NO_MEMBERSHIP': 'No active membership found for your account. If you believe this is an error, contact support.',
+    'membership.NO_EXPIRY': 'An active membership was found but no expiry date is recorded. Contact support.',
+    'membership.OK': 'Your membership expires on {expiryDate} ({timezone}). {remaining}',
+    'membership.daysLeft': '{days} day(s) remaining.',
+    'membership.expiredAgo': 'Expired {days} day(s) ago.',
+    'membership.error': 'An error occurred while checking your membership. Try again later.',
+
+    'renew.OK': 'Renew your **{label}** membership here:\n{url}',
+    'renew.DEFAULT': 'Renew your membership here:\n{url}',
+    'renew.LIFETIME': "Your membership is lifetime — there's nothing to renew.",
+    'renew.NONE': "No order is linked to your account yet, so we can't tell which renewal link is yours. Contact support.",
+    'renew.error': 'An error occurred while looking up your renewal link. Try again later.',
+
+    'history.header': '**Your order history ({count})**',
+    'history.order': '• #{id} — {product} — `{status}` — bought {created} — expires {expiry}',
+    'history.oldOrder': '• #{id} — {product} — `{status}` — bought {created} (old order)',
+    'history.webinar': '• Webinar — code `{code}` — lifetime',
+    'history.more': '…and {count} more',
+    'history.NONE': 'No orders are linked to your account yet.',
+    'history.error': 'An error occurred while loading your history. Try again later.',
+
+    'error.unexpected': 'An unexpected error occurred. Please try again later.',
+
+    'panel.title': 'Activate your Crypto Teknikal Academy membership',
+    'panel.description': 'Click **Activate now** and enter the activation code you received at checkout to activate your membership. Already a member? Check your status, renew, or see your order history with the buttons below.',
+    'panel.button': 'Activate now',
+    'panel.status': 'Check Membership Status',
+    'panel.renew': 'Renew',
+    'panel.history': 'History',
+    'modal.title': 'Enter your activation code',
+    'modal.label': 'Activation code (UUID)',
+    'modal.placeholder': 'e.g. 3f6b9d7a-...',
+
+    'welcome': '👋 Welcome {user}, thanks for joining!',
+
+    'reminder.when.today': 'today',
+    'reminder.when.tomorrow': 'tomorrow',
+    'reminder.when.days': 'in {days} days',
+    'reminder.subject.today': '⚠️ Reminder: Your CTA Membership Expires Today',
+    'reminder.subject.tomorrow': '⚠️ Reminder: Your CTA Membership Expires Tomorrow',
+    'reminder.subject.days': '⏳ Reminder: Your CTA Membership Expires in {days} Days',
+    'reminder.dm': `
+Hi {firstName},
+
+Your **Crypto Teknikal Academy** membership (**{durationLabel}**) expires {whenText}, on **{expiryDateFormatted}**.
+Renew now so you don't lose access!
+
+If you'd like to renew, use voucher code **{voucher}** for a {percent}% discount on your renewal.
+
+👉 **Renew Your Membership Here**
+{renewUrl}
+
+If the link above isn't clickable, copy & paste it into your browser.
+`,
+    'reminder.email':
+      '<p>Hi {firstName},</p>' +
+      '<p>Your <strong>Crypto Teknikal Academy</strong> membership (<strong>{durationLabel}</strong>) expires {whenText}, on <strong>{expiryDateFormatted}</strong>. Renew now so you don\'t lose access!</p>' +
+      '<p>If you\'d like to renew, use voucher code <strong>{voucher}</strong> for a {percent}% discount on your renewal.</p>' +
+      '<p>' +
+        '<a href="{renewUrl}" style="display:inline-block;padding:10px 18px;font-size:16px;color:#ffffff;background-color:#5865F2;text-decoration:none;border-radius:6px;">' +
+          'Renew Your Membership Here' +
+        '</a>' +
+      '</p>' +
+      '<p>If the button above doesn\'t work, use this link: <a href="{renewUrl}">{renewUrl}</a></p>',
+    'grace.dm': `
+Hi {firstName},
+
+Your **Crypto Teknikal Academy** membership (**{durationLabel}**) expired on **{expiryDateFormatted}**.
+You keep access during a grace period until **{graceEndFormatted}**. Renew before then so your access isn't interrupted.
+
+👉 **Renew Your Membership Here**
+{renewUrl}
+
+If the link above isn't clickable, copy & paste it into your browser.
+`
+  }
+};
+
+const DATE_NAMES = {
+  id: {
+    days: ['Minggu', 'Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu'],
+    months: ['Januari', 'Februari', 'Maret', 'April', 'Mei', 'Juni', 'Juli', 'Agustus', 'September', 'Oktober', 'November', 'Desember']
+  },
+  en: {
+    days: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+    months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+  }
+};
+
+// Discord locales look like "id", "en-US", "en-GB"; anything else is unsupported
+export function normalizeLanguage(locale) {
+  if (!locale) return null;
+  const base = `${locale}`.toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(base) ? base : null;
+}
+
+export function hasMessage(key) {
+  return key in CATALOGUE[DEFAULT_LANGUAGE];
+}
+
+export function interpolate(template, vars = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? `${vars[name]}` : match));
+}
+
+// Missing translations fall back to the default language, then to the key itself
+export function t(lang, key, vars = {}) {
+  const template = CATALOGUE[lang]?.[key] ?? CATALOGUE[DEFAULT_LANGUAGE][key];
+  if (template == null) return key;
+  return interpolate(template, vars);
+}
+
+// Translations for Discord's *Localizations fields; English is the base text
+export function localizations(key) {
+  const out = {};
+  for (const lang of SUPPORTED_LANGUAGES) {
+    if (lang !== 'en') out[lang] = t(lang, key);
+  }
+  return out;
+}
+
+export function formatDateLong(date, lang = DEFAULT_LANGUAGE) {
+  const { days, months } = DATE_NAMES[lang] || DATE_NAMES[DEFAULT_LANGUAGE];
+  const d = new Date(date);
+  return `${days[d.getDay()]}, ${d.getDate()} ${months[d.getMonth()]} ${d.getFullYear()}`;
+}
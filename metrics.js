@@ -0,0 +1,124 @@
+// --- METRICS ---
+// A small Prometheus registry: counters, gauges and histograms with labels,
+// rendered in the text exposition format for GET /metrics. Shared by index.js
+// and woocommerce-service.js through the `metrics` instance below.
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => `${labels[name] ?? ''}`));
+}
+
+function escapeLabelValue(value) {
+  return `${value}`.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = []) {
+  const pairs = [...labelNames.map((name, i) => [name, values[i]]), ...extra];
+  return pairs.length ? `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}` : '';
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = labelKey(this.labelNames, labels);
+    this.series.set(key, (this.series.get(key) || 0) + value);
+  }
+
+  render() {
+    return [...this.header(), ...[...this.series].map(([key, value]) => `${this.name}${formatLabels(this.labelNames, JSON.parse(key))} ${value}`)];
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels = {}, value) {
+    this.series.set(labelKey(this.labelNames, labels), value);
+  }
+
+  render() {
+    return [...this.header(), ...[...this.series].map(([key, value]) => `${this.name}${formatLabels(this.labelNames, JSON.parse(key))} ${value}`)];
+  }
+}
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels = {}, value) {
+    const key = labelKey(this.labelNames, labels);
+    const series = this.series.get(key) || { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+    this.series.set(key, series);
+  }
+
+  render() {
+    const lines = this.header();
+    for (const [key, series] of this.series) {
+      const values = JSON.parse(key);
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, [['le', bound]])} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, [['le', '+Inf']])} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  // Asking twice for the same name returns the same metric
+  register(metric) {
+    if (!this.metrics.has(metric.name)) this.metrics.set(metric.name, metric);
+    return this.metrics.get(metric.name);
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames = []) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames = [], buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    return [...this.metrics.values()].map(m => m.render().join('\n')).join('\n\n') + '\n';
+  }
+}
+
+export const metrics = new MetricsRegistry();
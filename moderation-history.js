@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import path from 'path';
+import { readJsonFile, writeJsonFileAtomic } from './json-file.js';
+
+// --- MODERATION HISTORY ---
+// Every action that goes through logModAction, so the back office can look up
+// what happened to a user after the fact. Temporary bans and timeouts carry
+// `until`; the ban-expiry job lifts due bans and stamps `liftedAt`, or
+// `supersededAt` when staff replaced the ban through Discord in the meantime.
+// Writes are batched: a burst of actions rewrites the file once.
+const MODERATION_HISTORY_FILE = process.env.MODERATION_HISTORY_FILE || path.join(process.cwd(), 'moderation-history.json');
+
+// Oldest entries are dropped past this many, except temporary bans that are
+// still waiting to be lifted: the expiry job needs them
+const MAX_ENTRIES = 20000;
+const SAVE_DELAY_MS = 1000;
+
+export const BAN_ACTION = 'Banned';
+
+function isPendingBan(entry) {
+  return entry.action === BAN_ACTION && entry.until && !entry.liftedAt && !entry.supersededAt;
+}
+
+export class ModerationHistory {
+  constructor(filePath = MODERATION_HISTORY_FILE) {
+    this.filePath = filePath;
+    this.entries = readJsonFile(filePath, {}).entries || [];
+    this.saveTimer = null;
+    process.on('exit', () => this.flush());
+  }
+
+  save() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    writeJsonFileAtomic(this.filePath, { entries: this.entries });
+  }
+
+  record({ action, userId, userTag = null, reason = '', moderator = 'SYSTEM', until = null }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      action,
+      userId: `${userId}`,
+      userTag,
+      reason,
+      moderator,
+      until,
+      liftedAt: null,
+      supersededAt: null
+    };
+    this.entries.push(entry);
+    this.prune();
+    this.save();
+    return entry;
+  }
+
+  prune() {
+    const excess = this.entries.length - MAX_ENTRIES;
+    if (excess <= 0) return;
+    let dropped = 0;
+    this.entries = this.entries.filter(e => {
+      if (dropped >= excess || isPendingBan(e)) return true;
+      dropped++;
+      return false;
+    });
+  }
+
+  // Newest first
+  query({ userId = null, action = null, since = null, limit = 50 } = {}) {
+    return this.entries
+      .filter(e => (!userId || e.userId === `${userId}`) && (!action || e.action === action) && (!since || e.at >= since))
+      .slice(-limit)
+      .reverse();
+  }
+
+  // Temporary bans whose time is up. Only a user's latest ban counts, so a
+  // permanent ban issued during a temporary one is never lifted by it.
+  findExpiredBans(now = new Date()) {
+    const latest = new Map();
+    for (const entry of this.entries) {
+      if (entry.action === BAN_ACTION) latest.set(entry.userId, entry);
+    }
+    return [...latest.values()].filter(e => e.until && !e.liftedAt && !e.supersededAt && new Date(e.until) <= now);
+  }
+
+  markLifted(id) {
+    const entry = this.entries.find(e => e.id === id);
+    if (!entry || entry.liftedAt) return;
+    entry.liftedAt = new Date().toISOString();
+    this.save();
+  }
+
+  // The user is still banned, but by a ban someone placed after ours
+  markSuperseded(id) {
+    const entry = this.entries.find(e => e.id === id);
+    if (!entry || entry.supersededAt) return;
+    entry.supersededAt = new Date().toISOString();
+    this.save();
+  }
+}
@@ -0,0 +1,205 @@
+import path from 'path';
+import { readJsonFile, writeJsonFileAtomic } from './json-file.js';
+
+// --- LOCAL ORDER INDEX ---
+// Compact, file-backed copy of the membership-relevant fields of every order,
+// indexed by activation UUID, Discord ID and expiry date. Kept current by
+// WooCommerce webhooks plus an incremental `modified_after` sync and a
+// scheduled full rebuild. Single-order updates (lookups, API writes, webhooks)
+// only touch memory and are written out together a few seconds later, so a job
+// that looks up every order doesn't rewrite the file once per order.
+const ORDER_STORE_FILE = process.env.ORDER_STORE_FILE || path.join(process.cwd(), 'order-store.json');
+
+const SAVE_DELAY_MS = 5000;
+
+export function isTruthyMeta(value) {
+  return value === true || value === 'true' || value === 'True' || value === '1' || value === 1;
+}
+
+export function toIsoDate(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+}
+
+// Reduce a full WC order to the fields the bot looks orders up by
+export function toStoreEntry(order, uuidMetaKey = process.env.WC_UUID_META_KEY || 'activation_uuid') {
+  const metaData = order.meta_data || [];
+  const metaValue = key => metaData.find(m => m.key === key)?.value;
+
+  return {
+    id: order.id,
+    status: order.status || null,
+    dateCreated: order.date_created_gmt || order.date_created || null,
+    dateModified: order.date_modified_gmt || order.date_modified || null,
+    activationUuid: metaValue(uuidMetaKey) != null ? `${metaValue(uuidMetaKey)}` : null,
+    discordId: metaValue('discord_id') != null ? `${metaValue('discord_id')}` : null,
+    activationUsed: metaData.some(m => m.key === 'activation_used'),
+    expiryDate: metaValue('expiry_date') || null,
+    isOld: isTruthyMeta(metaValue('is_old'))
+  };
+}
+
+// Newest first by creation date, then id, the same order a page scan of the shop
+// returns. Entries written before dateCreated was stored fall back to the id.
+function newestFirst(a, b) {
+  return (Date.parse(b.dateCreated) || 0) - (Date.parse(a.dateCreated) || 0) || Number(b.id) - Number(a.id);
+}
+
+function addToIndex(index, key, id) {
+  if (!key) return;
+  if (!index.has(key)) index.set(key, new Set());
+  index.get(key).add(id);
+}
+
+function removeFromIndex(index, key, id) {
+  if (!key || !index.has(key)) return;
+  index.get(key).delete(id);
+  if (index.get(key).size === 0) index.delete(key);
+}
+
+export class OrderStore {
+  constructor(filePath = ORDER_STORE_FILE) {
+    this.filePath = filePath;
+    this.orders = new Map();
+    this.byUuid = new Map();
+    this.byDiscordId = new Map();
+    this.byExpiry = new Map();
+    this.seededAt = null;
+    this.lastSyncedAt = null;
+    this.saveTimer = null;
+    this.load();
+    // Whatever is still waiting is written on the way out
+    process.on('exit', () => this.flush());
+  }
+
+  // An unreadable file just means an unseeded store; the next sync rebuilds it
+  load() {
+    const raw = readJsonFile(this.filePath, {}, { rebuildable: true });
+    this.seededAt = raw.seededAt || null;
+    this.lastSyncedAt = raw.lastSyncedAt || raw.seededAt || null;
+    for (const entry of raw.orders || []) {
+      this.setEntry(entry);
+    }
+  }
+
+  // Writes now and drops any pending deferred save
+  save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    writeJsonFileAtomic(this.filePath, {
+      seededAt: this.seededAt,
+      lastSyncedAt: this.lastSyncedAt,
+      orders: [...this.orders.values()]
+    });
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  flush() {
+    if (this.saveTimer) this.save();
+  }
+
+  clear() {
+    this.orders.clear();
+    this.byUuid.clear();
+    this.byDiscordId.clear();
+    this.byExpiry.clear();
+  }
+
+  setEntry(entry) {
+    const id = `${entry.id}`;
+    this.deleteEntry(id);
+    this.orders.set(id, entry);
+    addToIndex(this.byUuid, entry.activationUuid, id);
+    addToIndex(this.byDiscordId, entry.discordId, id);
+    addToIndex(this.byExpiry, toIsoDate(entry.expiryDate), id);
+  }
+
+  deleteEntry(id) {
+    const existing = this.orders.get(id);
+    if (!existing) return false;
+    removeFromIndex(this.byUuid, existing.activationUuid, id);
+    removeFromIndex(this.byDiscordId, existing.discordId, id);
+    removeFromIndex(this.byExpiry, toIsoDate(existing.expiryDate), id);
+    this.orders.delete(id);
+    return true;
+  }
+
+  isSeeded() {
+    return Boolean(this.seededAt);
+  }
+
+  get(orderId) {
+    return this.orders.get(`${orderId}`) || null;
+  }
+
+  all() {
+    return [...this.orders.values()];
+  }
+
+  entriesFor(index, key, { status, includeOld = false } = {}) {
+    const ids = index.get(key ? `${key}` : key) || new Set();
+    return [...ids]
+      .map(id => this.orders.get(id))
+      .filter(e => e && (includeOld || !e.isOld) && (!status || e.status === status))
+      .sort(newestFirst);
+  }
+
+  findByUuid(uuid, options = { includeOld: true }) {
+    return this.entriesFor(this.byUuid, uuid, options);
+  }
+
+  findByDiscordId(discordId, options) {
+    return this.entriesFor(this.byDiscordId, discordId, options);
+  }
+
+  findExpiringOn(isoDate, options) {
+    return this.entriesFor(this.byExpiry, isoDate, options);
+  }
+
+  findExpiringOnOrBefore(isoDate, options) {
+    return [...this.byExpiry.keys()]
+      .filter(date => date <= isoDate)
+      .flatMap(date => this.entriesFor(this.byExpiry, date, options));
+  }
+
+  upsert(order) {
+    const entry = toStoreEntry(order);
+    this.setEntry(entry);
+    this.scheduleSave();
+    return entry;
+  }
+
+  remove(orderId) {
+    const existed = this.deleteEntry(`${orderId}`);
+    if (existed) this.scheduleSave();
+    return existed;
+  }
+
+  // Apply the orders returned by an incremental sync in one write
+  applySync(orders, syncedAt) {
+    for (const order of orders) {
+      this.setEntry(toStoreEntry(order));
+    }
+    this.lastSyncedAt = syncedAt;
+    this.save();
+  }
+
+  // Replace the whole store with a fresh full scan of the shop
+  replaceAll(orders, syncedAt = new Date().toISOString()) {
+    this.clear();
+    for (const order of orders) {
+      this.setEntry(toStoreEntry(order));
+    }
+    this.seededAt = syncedAt;
+    this.lastSyncedAt = syncedAt;
+    this.save();
+  }
+}
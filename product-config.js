@@ -0,0 +1,100 @@
+import fs from 'fs';
+import path from 'path';
+
+// --- PRODUCT → MEMBERSHIP TIER MAPPING ---
+// One place that says what each WooCommerce product grants: extra roles,
+// duration, renewal link and display label. Entries match a line item by
+// `product_id`, `variation_id`, `sku` or (legacy) `name_contains`; the first
+// matching entry wins, so list the most specific ones first.
+//
+// Role values are Discord role IDs, or `$ENV_VAR` to read the ID from the
+// environment. `months: null` means the tier never expires.
+const PRODUCT_CONFIG_FILE = process.env.PRODUCT_CONFIG_FILE || path.join(process.cwd(), 'product-config.json');
+
+// Used when no config file exists; mirrors the original name-based rules
+const DEFAULT_TIERS = [
+  { match: { name_contains: 'lifetime' }, label: 'Lifetime', months: null, roles: ['$LIFETIME_ROLE_ID'], renewUrl: null },
+  { match: { name_contains: '3 bulan' }, label: '3 Bulan', months: 3, roles: [], renewUrl: 'https://s.id/PerpanjangCTA_3-Bulan' },
+  { match: { name_contains: '1 tahun' }, label: '1 Tahun', months: 12, roles: [], renewUrl: 'https://s.id/PerpanjangCTA_1-Tahun' },
+  { match: { name_contains: '12 bulan' }, label: '1 Tahun', months: 12, roles: [], renewUrl: 'https://s.id/PerpanjangCTA_1-Tahun' }
+];
+
+const MATCH_KEYS = ['product_id', 'variation_id', 'sku', 'name_contains'];
+
+let tiers = null;
+let source = null;
+
+function validateTier(tier, index) {
+  const keys = Object.keys(tier.match || {});
+  if (!keys.length || keys.some(k => !MATCH_KEYS.includes(k))) {
+    throw new Error(`Tier #${index}: match must use one of ${MATCH_KEYS.join(', ')}`);
+  }
+  if (!tier.label) throw new Error(`Tier #${index}: label is required`);
+  if (tier.months != null && !(Number.isInteger(tier.months) && tier.months > 0)) {
+    throw new Error(`Tier #${index}: months must be a positive integer or null`);
+  }
+  if (tier.roles != null && !Array.isArray(tier.roles)) {
+    throw new Error(`Tier #${index}: roles must be an array`);
+  }
+  return { months: null, roles: [], renewUrl: null, ...tier };
+}
+
+// (Re)load the mapping from disk; falls back to DEFAULT_TIERS when there is no file
+export function loadProductConfig(filePath = PRODUCT_CONFIG_FILE) {
+  if (!fs.existsSync(filePath)) {
+    tiers = DEFAULT_TIERS.map(validateTier);
+    source = 'defaults';
+    return tiers;
+  }
+
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  tiers = (raw.tiers || []).map(validateTier);
+  source = filePath;
+  return tiers;
+}
+
+export function getProductTiers() {
+  if (!tiers) loadProductConfig();
+  return tiers;
+}
+
+export function getProductConfigSource() {
+  if (!tiers) loadProductConfig();
+  return source;
+}
+
+function matchesLineItem(match, lineItem) {
+  return Object.entries(match).every(([key, value]) => {
+    if (key === 'name_contains') {
+      return typeof lineItem.name === 'string' && lineItem.name.toLowerCase().includes(`${value}`.toLowerCase());
+    }
+    return lineItem[key] != null && `${lineItem[key]}` === `${value}`;
+  });
+}
+
+export function findTierForLineItem(lineItem) {
+  return getProductTiers().find(t => matchesLineItem(t.match, lineItem)) || null;
+}
+
+// Every tier an order's line items map to, in line item order
+export function resolveOrderTiers(order) {
+  const matched = [];
+  for (const lineItem of order?.line_items || []) {
+    const tier = findTierForLineItem(lineItem);
+    if (tier) matched.push({ ...tier, lineItem });
+  }
+  return matched;
+}
+
+// The tier that drives reminders and expiry: the first one that actually expires
+export function resolveMembershipTier(order) {
+  return resolveOrderTiers(order).find(t => t.months != null) || null;
+}
+
+// Resolve `$ENV_VAR` role references; unset references are dropped
+export function resolveRoleIds(roleRefs = []) {
+  return roleRefs
+    .map(ref => (typeof ref === 'string' && ref.startsWith('$') ? process.env[ref.slice(1)] : ref))
+    .filter(Boolean)
+    .map(id => `${id}`);
+}
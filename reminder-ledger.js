@@ -0,0 +1,44 @@
+import path from 'path';
+import { readJsonFile, writeJsonFileAtomic } from './json-file.js';
+
+// --- SENT-REMINDER LEDGER ---
+// Records which reminder stage went out on which channel for which order, so
+// re-running the job (cron, manual endpoint, restart) never sends it twice.
+// Keys include the expiry date: extending an order re-arms its reminders.
+const REMINDER_LEDGER_FILE = process.env.REMINDER_LEDGER_FILE || path.join(process.cwd(), 'reminder-ledger.json');
+
+// Entries older than this are pruned on save
+const LEDGER_RETENTION_DAYS = parseInt(process.env.REMINDER_LEDGER_RETENTION_DAYS || '120', 10);
+
+export class ReminderLedger {
+  constructor(filePath = REMINDER_LEDGER_FILE) {
+    this.filePath = filePath;
+    this.entries = readJsonFile(filePath, {}).entries || {};
+  }
+
+  static key(orderId, expiryIso, stageKey) {
+    return `${orderId}:${expiryIso}:${stageKey}`;
+  }
+
+  hasSent(orderId, expiryIso, stageKey, channel) {
+    return Boolean(this.entries[ReminderLedger.key(orderId, expiryIso, stageKey)]?.[channel]);
+  }
+
+  record(orderId, expiryIso, stageKey, channel, details = {}) {
+    const key = ReminderLedger.key(orderId, expiryIso, stageKey);
+    this.entries[key] = {
+      ...this.entries[key],
+      [channel]: { sentAt: new Date().toISOString(), ...details }
+    };
+    this.save();
+  }
+
+  save() {
+    const cutoff = Date.now() - LEDGER_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    for (const [key, entry] of Object.entries(this.entries)) {
+      const lastSent = Math.max(...Object.values(entry).map(c => new Date(c.sentAt).getTime() || 0));
+      if (lastSent < cutoff) delete this.entries[key];
+    }
+    writeJsonFileAtomic(this.filePath, { entries: this.entries });
+  }
+}
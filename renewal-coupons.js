@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import path from 'path';
+import { readJsonFile, writeJsonFileAtomic } from './json-file.js';
+
+// --- PERSONAL RENEWAL COUPONS ---
+// Every membership that gets a renewal reminder is issued its own single-use
+// WooCommerce coupon, restricted to the billing email. One coupon covers one
+// expiry: every reminder stage for it repeats the same code. Redemptions are
+// recorded here so reminders can be measured by how many coupons were used.
+const RENEWAL_COUPONS_FILE = process.env.RENEWAL_COUPONS_FILE || path.join(process.cwd(), 'renewal-coupons.json');
+
+const CODE_PREFIX = process.env.RENEWAL_COUPON_PREFIX || 'RENEW';
+// No 0/O/1/I so codes survive being read out or retyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export function generateCouponCode(prefix = CODE_PREFIX) {
+  const bytes = crypto.randomBytes(8);
+  let suffix = '';
+  for (const byte of bytes) suffix += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+  return `${prefix}-${suffix}`;
+}
+
+export class RenewalCouponStore {
+  constructor(filePath = RENEWAL_COUPONS_FILE) {
+    this.filePath = filePath;
+    this.coupons = readJsonFile(filePath, {}).coupons || [];
+  }
+
+  save() {
+    writeJsonFileAtomic(this.filePath, { coupons: this.coupons });
+  }
+
+  find(orderId, expiryIso) {
+    return this.coupons.find(c => c.orderId === `${orderId}` && c.expiryIso === expiryIso) || null;
+  }
+
+  findByCode(code) {
+    const normalized = `${code}`.toUpperCase();
+    return this.coupons.find(c => c.code === normalized) || null;
+  }
+
+  add({ code, couponId, orderId, expiryIso, email, discordId = null, percent = null, expiresAt }) {
+    const coupon = {
+      code: code.toUpperCase(),
+      couponId,
+      orderId: `${orderId}`,
+      expiryIso,
+      email,
+      discordId: discordId ? `${discordId}` : null,
+      percent,
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      sentStages: [],
+      redeemedAt: null,
+      redeemedOrderId: null
+    };
+    this.coupons.push(coupon);
+    this.save();
+    return coupon;
+  }
+
+  markSent(code, stageKey) {
+    const coupon = this.findByCode(code);
+    if (!coupon || coupon.sentStages.includes(stageKey)) return;
+    coupon.sentStages.push(stageKey);
+    this.save();
+  }
+
+  // Returns true only the first time a coupon is seen redeemed
+  markRedeemed(code, { orderId = null, at = new Date().toISOString() } = {}) {
+    const coupon = this.findByCode(code);
+    if (!coupon || coupon.redeemedAt) return false;
+    coupon.redeemedAt = at;
+    coupon.redeemedOrderId = orderId ? `${orderId}` : null;
+    this.save();
+    return true;
+  }
+
+  // Unredeemed coupons that could still be used (or expired recently), for polling WooCommerce
+  unredeemed(now = new Date(), graceMs = 2 * 24 * 60 * 60 * 1000) {
+    return this.coupons.filter(c => !c.redeemedAt && new Date(c.expiresAt).getTime() + graceMs > now.getTime());
+  }
+
+  // Conversion of reminder coupons issued since `since` (ISO date), overall and by first stage sent
+  report({ since = null, now = new Date() } = {}) {
+    const issued = this.coupons.filter(c => c.sentStages.length && (!since || c.createdAt >= since));
+    const summarize = list => {
+      const redeemed = list.filter(c => c.redeemedAt).length;
+      const expired = list.filter(c => !c.redeemedAt && new Date(c.expiresAt) < now).length;
+      return {
+        issued: list.length,
+        redeemed,
+        expired,
+        open: list.length - redeemed - expired,
+        conversionRate: list.length ? redeemed / list.length : 0
+      };
+    };
+
+    const byStage = {};
+    for (const coupon of issued) {
+      const stage = coupon.sentStages[0];
+      (byStage[stage] ||= []).push(coupon);
+    }
+
+    return {
+      since,
+      ...summarize(issued),
+      byStage: Object.fromEntries(Object.entries(byStage).map(([stage, list]) => [stage, summarize(list)]))
+    };
+  }
+}
@@ -0,0 +1,132 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ActivationLimiter } from '../activation-limiter.js';
+
+// These follow the defaults: 5 attempts per user per 10 minutes, 60 per minute
+// overall, a lockout after 5 failures starting at 15 minutes, reset after 7 quiet days
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'activation-limiter-'));
+  filePath = path.join(dir, 'activation-limits.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function fail(limiter, userId, times, now) {
+  let result;
+  for (let i = 0; i < times; i++) result = limiter.recordResult(userId, 'NOT_FOUND', now);
+  return result;
+}
+
+test('each user gets a sliding window of attempts', () => {
+  const limiter = new ActivationLimiter(filePath);
+  const start = Date.now();
+  for (let i = 0; i < 5; i++) assert.equal(limiter.check('u1', start + i).allowed, true);
+
+  const blocked = limiter.check('u1', start + 5);
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.reason, 'USER_RATE');
+  assert.equal(blocked.retryAfterMs, 10 * MINUTE - 5);
+
+  // Other users are unaffected, and the window slides
+  assert.equal(limiter.check('u2', start + 5).allowed, true);
+  assert.equal(limiter.check('u1', start + 10 * MINUTE).allowed, true);
+});
+
+test('the global window caps attempts across all users', () => {
+  const limiter = new ActivationLimiter(filePath);
+  const now = Date.now();
+  for (let i = 0; i < 60; i++) assert.equal(limiter.check(`user-${i}`, now).allowed, true);
+
+  const blocked = limiter.check('one-more', now);
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.reason, 'GLOBAL_RATE');
+  assert.equal(limiter.check('one-more', now + MINUTE).allowed, true);
+});
+
+test('repeated failures lock the user out, with each lockout twice as long', () => {
+  const limiter = new ActivationLimiter(filePath);
+  const now = Date.now();
+
+  assert.equal(fail(limiter, 'u1', 4, now).lockedOut, false);
+  const first = fail(limiter, 'u1', 1, now);
+  assert.equal(first.lockedOut, true);
+  assert.equal(new Date(first.lockedUntil).getTime(), now + 15 * MINUTE);
+
+  const locked = limiter.check('u1', now + MINUTE);
+  assert.equal(locked.allowed, false);
+  assert.equal(locked.reason, 'LOCKED');
+
+  const later = now + 16 * MINUTE;
+  const second = fail(limiter, 'u1', 5, later);
+  assert.equal(second.lockouts, 2);
+  assert.equal(new Date(second.lockedUntil).getTime(), later + 30 * MINUTE);
+});
+
+test('lockouts never exceed a day', () => {
+  const limiter = new ActivationLimiter(filePath);
+  let now = Date.now();
+  let cooldown;
+  for (let i = 0; i < 10; i++) {
+    const result = fail(limiter, 'u1', 5, now);
+    cooldown = new Date(result.lockedUntil).getTime() - now;
+    now += cooldown + 1;
+  }
+  assert.equal(cooldown, DAY);
+});
+
+test('only results that suggest guessing count as failures', () => {
+  const limiter = new ActivationLimiter(filePath);
+  const now = Date.now();
+  for (const code of ['CLAIM_PENDING', 'RATE_LIMITED', 'ERROR', 'CLAIM_PENDING', 'CLAIM_PENDING', 'CLAIM_PENDING']) {
+    assert.equal(limiter.recordResult('u1', code, now).lockedOut, false);
+  }
+  assert.equal(limiter.status('u1'), null);
+
+  limiter.recordResult('u1', 'ALREADY_USED', now);
+  limiter.recordResult('u1', 'CODE_EXPIRED', now);
+  assert.equal(limiter.status('u1').failures, 2);
+});
+
+test('a success clears the failure count but not the lockout history', () => {
+  const limiter = new ActivationLimiter(filePath);
+  const now = Date.now();
+  fail(limiter, 'u1', 5, now);
+  fail(limiter, 'u1', 3, now + 20 * MINUTE);
+  const ok = limiter.recordResult('u1', 'OK', now + 21 * MINUTE);
+  assert.equal(ok.failures, 0);
+  assert.equal(ok.lockouts, 1);
+});
+
+test('a quiet period resets failures and lockout escalation', () => {
+  const limiter = new ActivationLimiter(filePath);
+  const now = Date.now();
+  fail(limiter, 'u1', 5, now);
+  fail(limiter, 'u1', 2, now + 20 * MINUTE);
+
+  const afterQuiet = limiter.recordResult('u1', 'NOT_FOUND', now + 8 * DAY);
+  assert.equal(afterQuiet.failures, 1);
+  assert.equal(afterQuiet.lockouts, 0);
+});
+
+test('lockouts survive a restart and unlock forgets them', () => {
+  const now = Date.now();
+  fail(new ActivationLimiter(filePath), 'u1', 5, now);
+
+  const restarted = new ActivationLimiter(filePath);
+  assert.equal(restarted.check('u1', now + MINUTE).reason, 'LOCKED');
+  assert.equal(restarted.unlock('u1'), true);
+  assert.equal(restarted.unlock('u1'), false);
+  assert.equal(restarted.check('u1', now + MINUTE).allowed, true);
+  assert.equal(new ActivationLimiter(filePath).status('u1'), null);
+});
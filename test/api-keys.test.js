@@ -0,0 +1,123 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { authenticateRequest, hasScope, listApiKeys, loadApiKeys, signRequest } from '../api-keys.js';
+
+const SIGNED_SECRET = 'signed-secret-0123456789';
+const UNSIGNED_SECRET = 'unsigned-secret-0123456789';
+
+let dir;
+let keysFile;
+
+function writeKeys(keys) {
+  fs.writeFileSync(keysFile, JSON.stringify({ keys }));
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+  keysFile = path.join(dir, 'api-keys.json');
+  process.env.TEST_API_SECRET = SIGNED_SECRET;
+  writeKeys([
+    { name: 'backoffice', secret: '$TEST_API_SECRET', scopes: ['mod:read', 'members:read'] },
+    { name: 'legacy', secret: UNSIGNED_SECRET, scopes: ['*'], allowUnsigned: true }
+  ]);
+  loadApiKeys(keysFile);
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function signedRequest({ keyId = 'backoffice', secret = SIGNED_SECRET, timestamp, method = 'POST', requestPath = '/mod/ban?dry=1', body = '{"userId":"1"}' }) {
+  return {
+    headers: {
+      'x-api-key-id': keyId,
+      'x-timestamp': `${timestamp}`,
+      'x-signature': signRequest(secret, { timestamp, method, path: requestPath, body })
+    },
+    method,
+    path: requestPath,
+    rawBody: Buffer.from(body)
+  };
+}
+
+test('signRequest is the HMAC of timestamp, method, path and body', () => {
+  assert.equal(
+    signRequest('secret', { timestamp: 1, method: 'get', path: '/a', body: 'b' }),
+    signRequest('secret', { timestamp: 1, method: 'GET', path: '/a', body: 'b' })
+  );
+  assert.notEqual(
+    signRequest('secret', { timestamp: 1, method: 'GET', path: '/a', body: 'b' }),
+    signRequest('secret', { timestamp: 1, method: 'GET', path: '/a', body: 'c' })
+  );
+});
+
+test('a correctly signed request authenticates as its key', () => {
+  const now = Date.now();
+  const result = authenticateRequest(signedRequest({ timestamp: Math.floor(now / 1000) }), now);
+  assert.equal(result.error, undefined);
+  assert.equal(result.key.name, 'backoffice');
+  assert.equal(hasScope(result.key, 'mod:read'), true);
+  assert.equal(hasScope(result.key, 'mod:write'), false);
+});
+
+test('a signed request can only be used once', () => {
+  const now = Date.now();
+  const request = signedRequest({ timestamp: Math.floor(now / 1000), body: '{"userId":"replay"}' });
+  assert.ok(authenticateRequest(request, now).key);
+  assert.deepEqual(authenticateRequest(request, now + 1000), { error: 'Request already used', keyName: 'backoffice' });
+});
+
+test('stale timestamps, wrong secrets and tampered bodies are rejected', () => {
+  const now = Date.now();
+  const timestamp = Math.floor(now / 1000);
+
+  const stale = authenticateRequest(signedRequest({ timestamp: timestamp - 301 }), now);
+  assert.equal(stale.error, 'Request timestamp outside the allowed window');
+
+  const wrongSecret = authenticateRequest(signedRequest({ timestamp, secret: 'not-the-secret-at-all' }), now);
+  assert.deepEqual(wrongSecret, { error: 'Unauthorized', keyName: 'backoffice' });
+
+  const tampered = signedRequest({ timestamp, body: '{"userId":"2"}' });
+  tampered.rawBody = Buffer.from('{"userId":"3"}');
+  assert.equal(authenticateRequest(tampered, now).error, 'Unauthorized');
+
+  const unknownKey = authenticateRequest(signedRequest({ timestamp, keyId: 'nobody' }), now);
+  assert.equal(unknownKey.error, 'Unauthorized');
+});
+
+test('bare secrets only work for keys that allow unsigned requests', () => {
+  const unsigned = authenticateRequest({ headers: { 'x-api-key': UNSIGNED_SECRET }, method: 'GET', path: '/' });
+  assert.equal(unsigned.key.name, 'legacy');
+  assert.equal(hasScope(unsigned.key, 'anything'), true);
+
+  const signedOnly = authenticateRequest({ headers: { 'x-api-key': SIGNED_SECRET }, method: 'GET', path: '/' });
+  assert.deepEqual(signedOnly, { error: 'This key must sign its requests', keyName: 'backoffice' });
+
+  assert.deepEqual(authenticateRequest({ headers: {}, method: 'GET', path: '/' }), { error: 'Unauthorized' });
+});
+
+test('an invalid file is rejected and the current keys stay in place', () => {
+  const cases = [
+    [[{ name: 'short', secret: 'too-short', scopes: ['mod:read'] }], /at least 16 characters/],
+    [[{ name: 'x', secret: SIGNED_SECRET, scopes: ['mod:everything'] }], /unknown scope/],
+    [[{ name: 'x', secret: SIGNED_SECRET, scopes: [] }], /non-empty array/],
+    [[{ name: 'x', secret: SIGNED_SECRET, scopes: ['*'] }, { name: 'x', secret: SIGNED_SECRET, scopes: ['*'] }], /defined twice/],
+    [[{ name: 'x', secret: '$TEST_API_SECRET_UNSET', scopes: ['*'] }], /is \$TEST_API_SECRET_UNSET set/]
+  ];
+  const badFile = path.join(dir, 'bad.json');
+  for (const [keys, message] of cases) {
+    fs.writeFileSync(badFile, JSON.stringify({ keys }));
+    assert.throws(() => loadApiKeys(badFile), message);
+  }
+  fs.writeFileSync(badFile, '{not json');
+  assert.throws(() => loadApiKeys(badFile), /not valid JSON/);
+
+  assert.deepEqual(listApiKeys().map(k => k.name), ['backoffice', 'legacy']);
+});
+
+test('listApiKeys never exposes secrets', () => {
+  for (const key of listApiKeys()) assert.equal('secret' in key, false);
+});
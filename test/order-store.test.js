@@ -0,0 +1,136 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { OrderStore, toStoreEntry, toIsoDate } from '../order-store.js';
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-store-'));
+  filePath = path.join(dir, 'order-store.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function order(id, { created = '2026-01-01T00:00:00', status = 'completed', uuid = null, discordId = null, expiry = null, isOld = false } = {}) {
+  const meta = [];
+  if (uuid) meta.push({ key: 'activation_uuid', value: uuid });
+  if (discordId) meta.push({ key: 'discord_id', value: discordId });
+  if (expiry) meta.push({ key: 'expiry_date', value: expiry });
+  if (isOld) meta.push({ key: 'is_old', value: 'True' });
+  return { id, status, date_created_gmt: created, meta_data: meta };
+}
+
+test('toStoreEntry keeps only the lookup fields', () => {
+  const entry = toStoreEntry({
+    ...order(7, { uuid: 'abc', discordId: 123, expiry: '2026-05-01' }),
+    meta_data: [...order(7, { uuid: 'abc', discordId: 123, expiry: '2026-05-01' }).meta_data, { key: 'activation_used', value: '1' }],
+    billing: { email: 'a@example.com' }
+  });
+  assert.deepEqual(entry, {
+    id: 7,
+    status: 'completed',
+    dateCreated: '2026-01-01T00:00:00',
+    dateModified: null,
+    activationUuid: 'abc',
+    discordId: '123',
+    activationUsed: true,
+    expiryDate: '2026-05-01',
+    isOld: false
+  });
+});
+
+test('toIsoDate returns null for missing or invalid dates', () => {
+  assert.equal(toIsoDate(null), null);
+  assert.equal(toIsoDate('not a date'), null);
+  assert.equal(toIsoDate('2026-03-04T10:00:00Z'), '2026-03-04');
+});
+
+test('lookups return newest first by creation date, then id', () => {
+  const store = new OrderStore(filePath);
+  store.replaceAll([
+    order(1, { uuid: 'u', created: '2026-01-03T00:00:00' }),
+    order(2, { uuid: 'u', created: '2026-01-01T00:00:00' }),
+    order(3, { uuid: 'u', created: '2026-01-03T00:00:00' })
+  ]);
+  assert.deepEqual(store.findByUuid('u').map(e => e.id), [3, 1, 2]);
+});
+
+test('old orders and other statuses are filtered out on request', () => {
+  const store = new OrderStore(filePath);
+  store.replaceAll([
+    order(1, { discordId: '42' }),
+    order(2, { discordId: '42', isOld: true }),
+    order(3, { discordId: '42', status: 'processing' })
+  ]);
+  assert.deepEqual(store.findByDiscordId('42').map(e => e.id).sort(), [1, 3]);
+  assert.deepEqual(store.findByDiscordId('42', { includeOld: true }).map(e => e.id).sort(), [1, 2, 3]);
+  assert.deepEqual(store.findByDiscordId('42', { status: 'completed' }).map(e => e.id), [1]);
+  // UUID lookups include old orders by default
+  assert.deepEqual(store.findByUuid('missing'), []);
+});
+
+test('expiry lookups match one day or everything up to it', () => {
+  const store = new OrderStore(filePath);
+  store.replaceAll([
+    order(1, { expiry: '2026-02-01' }),
+    order(2, { expiry: '2026-02-03T12:00:00Z' }),
+    order(3, { expiry: '2026-02-05' })
+  ]);
+  assert.deepEqual(store.findExpiringOn('2026-02-03').map(e => e.id), [2]);
+  assert.deepEqual(store.findExpiringOnOrBefore('2026-02-03').map(e => e.id).sort(), [1, 2]);
+});
+
+test('upsert moves an order between index keys', () => {
+  const store = new OrderStore(filePath);
+  store.replaceAll([order(1, { uuid: 'old-uuid', discordId: '1', expiry: '2026-02-01' })]);
+  store.upsert(order(1, { uuid: 'new-uuid', discordId: '2', expiry: '2026-03-01' }));
+
+  assert.deepEqual(store.findByUuid('old-uuid'), []);
+  assert.deepEqual(store.findByDiscordId('1'), []);
+  assert.deepEqual(store.findExpiringOn('2026-02-01'), []);
+  assert.equal(store.findByUuid('new-uuid')[0].id, 1);
+  assert.equal(store.findByDiscordId('2')[0].id, 1);
+  assert.equal(store.findExpiringOn('2026-03-01')[0].id, 1);
+
+  assert.equal(store.remove(1), true);
+  assert.equal(store.remove(1), false);
+  assert.deepEqual(store.findByUuid('new-uuid'), []);
+  store.flush();
+});
+
+test('single-order updates are written on flush, not one file write each', () => {
+  const store = new OrderStore(filePath);
+  store.replaceAll([], '2026-01-01T00:00:00.000Z');
+  for (let id = 1; id <= 20; id++) store.upsert(order(id));
+  assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).orders.length, 0);
+
+  store.flush();
+  assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).orders.length, 20);
+});
+
+test('a saved store loads back with its indexes and sync state', () => {
+  const store = new OrderStore(filePath);
+  store.replaceAll([order(1, { uuid: 'u', discordId: '9', expiry: '2026-02-01' })], '2026-01-01T00:00:00.000Z');
+  store.applySync([order(2, { uuid: 'u', created: '2026-01-02T00:00:00' })], '2026-01-02T00:00:00.000Z');
+
+  const reloaded = new OrderStore(filePath);
+  assert.equal(reloaded.isSeeded(), true);
+  assert.equal(reloaded.seededAt, '2026-01-01T00:00:00.000Z');
+  assert.equal(reloaded.lastSyncedAt, '2026-01-02T00:00:00.000Z');
+  assert.deepEqual(reloaded.findByUuid('u').map(e => e.id), [2, 1]);
+  assert.equal(reloaded.findExpiringOn('2026-02-01')[0].id, 1);
+});
+
+test('a corrupt file is moved aside and the store starts unseeded', () => {
+  fs.writeFileSync(filePath, '{not json');
+  const store = new OrderStore(filePath);
+  assert.equal(store.isSeeded(), false);
+  assert.equal(store.all().length, 0);
+  assert.ok(fs.readdirSync(dir).some(f => f.startsWith('order-store.json.corrupt-')));
+});
@@ -0,0 +1,124 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { WebinarStore, isWebinarRowUsed, parseCsv, toCsv } from '../webinar-store.js';
+
+let dir;
+let csvPath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webinar-store-'));
+  csvPath = path.join(dir, 'webinar.csv');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('parseCsv handles a BOM, quotes, escaped quotes and embedded line breaks', () => {
+  const rows = parseCsv('\uFEFFactivation_uuid,email,note\r\na1,"x@example.com","says ""hi"", twice"\r\na2,y@example.com,"line one\nline two"\n');
+  assert.deepEqual(rows, [
+    { activation_uuid: 'a1', email: 'x@example.com', note: 'says "hi", twice' },
+    { activation_uuid: 'a2', email: 'y@example.com', note: 'line one\nline two' }
+  ]);
+});
+
+test('parseCsv trims unquoted fields but keeps quoted ones as written', () => {
+  const rows = parseCsv('activation_uuid , note\n  a1  ,"  padded  "\n');
+  assert.deepEqual(rows, [{ activation_uuid: 'a1', note: '  padded  ' }]);
+});
+
+test('parseCsv skips blank lines, fills missing fields and keeps mid-field quotes literal', () => {
+  const rows = parseCsv('activation_uuid,email,is_used\n\na1\n\na2,say "x",True');
+  assert.deepEqual(rows, [
+    { activation_uuid: 'a1', email: '', is_used: '' },
+    { activation_uuid: 'a2', email: 'say "x"', is_used: 'True' }
+  ]);
+  assert.deepEqual(parseCsv(''), []);
+});
+
+test('parseCsv rejects an unterminated quoted field', () => {
+  assert.throws(() => parseCsv('activation_uuid\n"a1\n'), /unterminated quoted field/);
+});
+
+test('toCsv output parses back to the same rows', () => {
+  const rows = [
+    { activation_uuid: 'a1', email: 'x@example.com', is_used: 'False', discord_id: '', discord_username: ' spaced ', note: 'a, "b"\nc' },
+    { activation_uuid: 'a2', email: '', is_used: 'True', discord_id: '42', discord_username: 'user', note: '' }
+  ];
+  const csv = toCsv(rows);
+  assert.ok(csv.startsWith('activation_uuid,email,is_used,discord_id,discord_username,note\r\n'));
+  assert.deepEqual(parseCsv(csv), rows);
+});
+
+test('isWebinarRowUsed accepts any casing of true', () => {
+  assert.equal(isWebinarRowUsed({ is_used: 'True' }), true);
+  assert.equal(isWebinarRowUsed({ is_used: 'TRUE' }), true);
+  assert.equal(isWebinarRowUsed({ is_used: 'False' }), false);
+  assert.equal(isWebinarRowUsed(null), false);
+});
+
+test('importCsv adds new codes, refreshes unclaimed ones and never touches claimed ones', async () => {
+  const store = new WebinarStore(csvPath);
+  store.write([
+    { activation_uuid: 'claimed', email: 'old@example.com', is_used: 'True', discord_id: '1', discord_username: 'one' },
+    { activation_uuid: 'open', email: 'old@example.com', is_used: 'False', discord_id: '', discord_username: '' }
+  ]);
+
+  const summary = await store.importCsv('activation_uuid,email,is_used\nclaimed,new@example.com,False\nopen,new@example.com,True\nfresh,f@example.com,\n,missing@example.com,\n');
+  assert.deepEqual(summary, { added: 1, updated: 1, skippedClaimed: 1, skippedInvalid: 1, total: 3 });
+
+  const byUuid = Object.fromEntries(store.read().map(r => [r.activation_uuid, r]));
+  assert.equal(byUuid.claimed.email, 'old@example.com');
+  assert.equal(byUuid.open.email, 'new@example.com');
+  assert.equal(byUuid.open.is_used, 'False');
+  assert.equal(byUuid.fresh.is_used, 'False');
+  assert.equal(fs.existsSync(store.lockPath), false);
+});
+
+test('importCsv requires an activation_uuid column', async () => {
+  await assert.rejects(new WebinarStore(csvPath).importCsv('code,email\na,b\n'), /activation_uuid column/);
+});
+
+test('withLock releases the lock when the callback throws', async () => {
+  const store = new WebinarStore(csvPath);
+  await assert.rejects(store.withLock(() => { throw new Error('boom'); }), /boom/);
+  assert.equal(fs.existsSync(store.lockPath), false);
+});
+
+test('a lock left by a dead process is cleared', async () => {
+  const store = new WebinarStore(csvPath);
+  // Linux pids stay below 4194304 (the largest pid_max), so this lock's owner is gone
+  fs.writeFileSync(store.lockPath, `4194304:${Date.now()}:other-token`);
+
+  const outcome = await store.withLock(rows => ({ count: rows.length }));
+  assert.deepEqual(outcome, { count: 0 });
+  assert.equal(fs.existsSync(store.lockPath), false);
+});
+
+test('stale locks: too old, dead pid, or our pid with another process token', () => {
+  const store = new WebinarStore(csvPath);
+  const now = Date.now();
+  assert.equal(store.isStaleLock(`${process.ppid}:${now - 120_000}:token`), true);
+  assert.equal(store.isStaleLock(`4194304:${now}:token`), true);
+  assert.equal(store.isStaleLock(`${process.pid}:${now}:another-process-token`), true);
+  assert.equal(store.isStaleLock(`${process.ppid}:${now}:token`), false);
+});
+
+test('a fresh lock held by a live process is left alone', () => {
+  const store = new WebinarStore(csvPath);
+  const content = `${process.ppid}:${Date.now()}:token`;
+  fs.writeFileSync(store.lockPath, content);
+  assert.equal(store.clearStaleLock(), false);
+  assert.equal(fs.readFileSync(store.lockPath, 'utf8'), content);
+});
+
+test('releaseLock leaves a lock that another process has taken over', async () => {
+  const store = new WebinarStore(csvPath);
+  await store.acquireLock();
+  fs.writeFileSync(store.lockPath, `${process.ppid}:${Date.now()}:someone-else`);
+  store.releaseLock();
+  assert.equal(fs.existsSync(store.lockPath), true);
+});
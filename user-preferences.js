@@ -0,0 +1,39 @@
+import path from 'path';
+import { readJsonFile, writeJsonFileAtomic } from './json-file.js';
+
+// --- USER PREFERENCES ---
+// Settings members choose for themselves through the bot, keyed by Discord ID.
+// For now that's only the language of bot messages (see messages.js).
+const USER_PREFERENCES_FILE = process.env.USER_PREFERENCES_FILE || path.join(process.cwd(), 'user-preferences.json');
+
+export class UserPreferences {
+  constructor(filePath = USER_PREFERENCES_FILE) {
+    this.filePath = filePath;
+    this.users = readJsonFile(filePath, {}).users || {};
+  }
+
+  save() {
+    writeJsonFileAtomic(this.filePath, { users: this.users });
+  }
+
+  getLanguage(userId) {
+    return this.users[userId]?.language || null;
+  }
+
+  // Pass null to go back to following the Discord client language
+  setLanguage(userId, language) {
+    const prefs = { ...this.users[userId] };
+    if (language) {
+      prefs.language = language;
+    } else {
+      delete prefs.language;
+    }
+
+    if (Object.keys(prefs).length) {
+      this.users[userId] = prefs;
+    } else {
+      delete this.users[userId];
+    }
+    this.save();
+  }
+}
@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import path from 'path';
+import { readJsonFile, writeJsonFileAtomic } from './json-file.js';
+
+// --- WOOCOMMERCE RETRY OUTBOX ---
+// WooCommerce writes that failed are persisted here and retried with
+// exponential backoff until they succeed. Items never expire: after
+// OUTBOX_STUCK_AFTER attempts they are flagged as stuck for an admin to look at,
+// who can mark one done or discard it with /admin outbox.
+const WC_OUTBOX_FILE = process.env.WC_OUTBOX_FILE || path.join(process.cwd(), 'wc-outbox.json');
+
+const BASE_DELAY_MS = parseInt(process.env.OUTBOX_BASE_DELAY_SECONDS || '60', 10) * 1000;
+const MAX_DELAY_MS = parseInt(process.env.OUTBOX_MAX_DELAY_SECONDS || '3600', 10) * 1000;
+const STUCK_AFTER = parseInt(process.env.OUTBOX_STUCK_AFTER || '5', 10);
+
+export class WcOutbox {
+  constructor(filePath = WC_OUTBOX_FILE) {
+    this.filePath = filePath;
+    this.items = readJsonFile(filePath, {}).items || [];
+    this.processing = false;
+  }
+
+  save() {
+    writeJsonFileAtomic(this.filePath, { items: this.items });
+  }
+
+  // type: a WooCommerceService method name; args: its arguments
+  enqueue({ type, args = [], context = {}, error = null }) {
+    const now = new Date().toISOString();
+    const item = {
+      id: crypto.randomUUID(),
+      type,
+      args,
+      context,
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: new Date(Date.now() + BASE_DELAY_MS).toISOString(),
+      lastError: error
+    };
+    this.items.push(item);
+    this.save();
+    return item;
+  }
+
+  list() {
+    return [...this.items];
+  }
+
+  isStuck(item) {
+    return item.attempts >= STUCK_AFTER;
+  }
+
+  // Drop an item staff have resolved by hand, so a stuck claim stops locking its
+  // UUID. Takes the full id or a unique prefix; null when nothing matches.
+  resolve(idPrefix) {
+    if (!idPrefix) return null;
+    const matches = this.items.filter(i => i.id.startsWith(`${idPrefix}`));
+    if (matches.length > 1) throw new Error(`${matches.length} outbox items match "${idPrefix}", give more of the id`);
+    if (!matches.length) return null;
+    this.items = this.items.filter(i => i.id !== matches[0].id);
+    this.save();
+    return matches[0];
+  }
+
+  // A queued activation write keeps its UUID locked until it lands in WooCommerce
+  findPendingClaim(uuid) {
+    return this.items.find(i => i.context?.kind === 'claim' && i.context.uuid === `${uuid}`) || null;
+  }
+
+  // Run every due item through `executors[item.type]`; returns what happened
+  async process(executors, { force = false } = {}) {
+    if (this.processing) return { skipped: true };
+    this.processing = true;
+    const summary = { succeeded: [], failed: [], newlyStuck: [] };
+
+    try {
+      const now = Date.now();
+      const due = this.items.filter(i => force || new Date(i.nextAttemptAt).getTime() <= now);
+
+      for (const item of due) {
+        const executor = executors[item.type];
+        try {
+          if (!executor) throw new Error(`No executor for outbox item type ${item.type}`);
+          await executor(...item.args);
+          this.items = this.items.filter(i => i.id !== item.id);
+          summary.succeeded.push(item);
+        } catch (err) {
+          item.attempts += 1;
+          item.lastError = err.message;
+          item.lastAttemptAt = new Date().toISOString();
+          const delay = Math.min(BASE_DELAY_MS * 2 ** item.attempts, MAX_DELAY_MS);
+          item.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+          summary.failed.push(item);
+          if (item.attempts === STUCK_AFTER) summary.newlyStuck.push(item);
+        }
+        this.save();
+      }
+    } finally {
+      this.processing = false;
+    }
+
+    return summary;
+  }
+}
@@ -0,0 +1,276 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { appendBotLog } from './logger.js';
+
+// --- WEBINAR CODE STORE ---
+// Webinar activation codes live in a CSV file (one row per code). Reads and
+// writes follow RFC 4180 (quoted fields, "" escapes, CRLF or LF line breaks),
+// writes are atomic, and every read-modify-write runs under a lockfile that is
+// recovered automatically if the process holding it died.
+const WEBINAR_CSV_PATH = process.env.WEBINAR_CSV_PATH || path.join(process.cwd(), 'webinar_final.csv');
+
+const BASE_HEADERS = ['activation_uuid', 'email', 'is_used', 'discord_id', 'discord_username'];
+
+const LOCK_RETRY_DELAY_MS = 100;
+const LOCK_TIMEOUT_MS = 10_000;
+// A lock older than this is considered abandoned even if its pid looks alive
+const LOCK_STALE_MS = parseInt(process.env.WEBINAR_LOCK_STALE_SECONDS || '60', 10) * 1000;
+// Written into every lock we take, so a lock left by an earlier process that
+// happened to get the same pid (pid 1 in a container) isn't mistaken for ours
+const PROCESS_TOKEN = crypto.randomUUID();
+
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+  const src = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    // Quotes only open a quoted field at its start; elsewhere they are literal.
+    // Unquoted fields are trimmed; quoted ones are kept exactly as written.
+    if (ch === '"' && field === '' && !quoted) {
+      inQuotes = true;
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(quoted ? field : field.trim());
+      field = '';
+      quoted = false;
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      record.push(quoted ? field : field.trim());
+      records.push(record);
+      record = [];
+      field = '';
+      quoted = false;
+    } else {
+      field += ch;
+    }
+  }
+
+  if (inQuotes) throw new Error('Malformed CSV: unterminated quoted field');
+  if (field !== '' || quoted || record.length) {
+    record.push(quoted ? field : field.trim());
+    records.push(record);
+  }
+
+  // Skip blank lines
+  const nonEmpty = records.filter(r => !(r.length === 1 && r[0].trim() === ''));
+  if (!nonEmpty.length) return [];
+
+  const [headerRecord, ...dataRecords] = nonEmpty;
+  const headers = headerRecord.map(h => h.trim());
+  return dataRecords.map(values => {
+    const row = {};
+    headers.forEach((h, i) => {
+      row[h] = values[i] ?? '';
+    });
+    return row;
+  });
+}
+
+// Leading or trailing spaces are quoted too, since unquoted fields are trimmed on read
+function escapeCsvField(value) {
+  const str = value == null ? '' : `${value}`;
+  return /[",\r\n]|^\s|\s$/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export function toCsv(rows, headers = null) {
+  const cols = headers || headersFor(rows);
+  const lines = [cols.map(escapeCsvField).join(',')];
+  for (const row of rows) {
+    lines.push(cols.map(h => escapeCsvField(row[h])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+function headersFor(rows) {
+  const headers = [...BASE_HEADERS];
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      if (!headers.includes(key)) headers.push(key);
+    }
+  }
+  return headers;
+}
+
+export function isWebinarRowUsed(row) {
+  return String(row?.is_used).toLowerCase() === 'true';
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+export class WebinarStore {
+  constructor(csvPath = WEBINAR_CSV_PATH) {
+    this.csvPath = csvPath;
+    this.lockPath = csvPath + '.lock';
+    this.lockContent = null;
+  }
+
+  read() {
+    if (!fs.existsSync(this.csvPath)) return [];
+    return parseCsv(fs.readFileSync(this.csvPath, 'utf8'));
+  }
+
+  // Write to a temp file first so a crash mid-write never leaves a truncated CSV
+  write(rows) {
+    const tmpPath = this.csvPath + '.tmp';
+    fs.writeFileSync(tmpPath, toCsv(rows), 'utf8');
+    fs.renameSync(tmpPath, this.csvPath);
+  }
+
+  export() {
+    return toCsv(this.read());
+  }
+
+  // A lock is stale when it's too old, its pid is gone, or it carries our pid
+  // but another process's token (a restarted process that reused the pid)
+  isStaleLock(content) {
+    const [pidStr, tsStr, token] = content.split(':');
+    const pid = parseInt(pidStr, 10);
+    const lockedAt = parseInt(tsStr, 10) || 0;
+    if (Date.now() - lockedAt > LOCK_STALE_MS) return true;
+    if (!pid) return false;
+    return pid === process.pid ? token !== PROCESS_TOKEN : !isProcessAlive(pid);
+  }
+
+  // Clears a lock left behind by a crashed process. The lock is renamed away
+  // before it's deleted, and put back if it turns out another process took a
+  // fresh one between the check and the rename.
+  clearStaleLock() {
+    let content;
+    try {
+      content = fs.readFileSync(this.lockPath, 'utf8');
+    } catch {
+      return false;
+    }
+    if (!this.isStaleLock(content)) return false;
+
+    const movedPath = `${this.lockPath}.${process.pid}.${crypto.randomUUID()}`;
+    try {
+      fs.renameSync(this.lockPath, movedPath);
+    } catch {
+      return false;
+    }
+    try {
+      if (fs.readFileSync(movedPath, 'utf8') !== content) {
+        // linkSync fails if a new lock already exists, so nothing is overwritten
+        try { fs.linkSync(movedPath, this.lockPath); } catch {}
+        return false;
+      }
+      const [pid, lockedAt] = content.split(':');
+      appendBotLog('WARN', 'Removed stale webinar CSV lock', { pid, lockedAt: new Date(parseInt(lockedAt, 10) || 0).toISOString() });
+      return true;
+    } finally {
+      fs.rmSync(movedPath, { force: true });
+    }
+  }
+
+  async acquireLock() {
+    const start = Date.now();
+
+    while (true) {
+      const content = `${process.pid}:${Date.now()}:${PROCESS_TOKEN}`;
+      try {
+        fs.writeFileSync(this.lockPath, content, { flag: 'wx' });
+        this.lockContent = content;
+        return;
+      } catch {
+        if (this.clearStaleLock()) continue;
+        if (Date.now() - start > LOCK_TIMEOUT_MS) {
+          throw new Error('CSV lock timeout');
+        }
+        await new Promise(res => setTimeout(res, LOCK_RETRY_DELAY_MS));
+      }
+    }
+  }
+
+  // Only remove the lock if it's still the one we took
+  releaseLock() {
+    try {
+      if (fs.readFileSync(this.lockPath, 'utf8') === this.lockContent) fs.unlinkSync(this.lockPath);
+    } catch {}
+    this.lockContent = null;
+  }
+
+  // Run fn(rows) under the lock; rows are written back if fn returns { write: true }
+  async withLock(fn) {
+    await this.acquireLock();
+    try {
+      const rows = this.read();
+      const outcome = await fn(rows);
+      if (outcome?.write) this.write(rows);
+      return outcome;
+    } finally {
+      this.releaseLock();
+    }
+  }
+
+  // Merge a new batch in. Claimed codes are never touched; unclaimed ones
+  // get their details refreshed; new codes are appended as unused.
+  async importCsv(text) {
+    const incoming = parseCsv(text);
+    if (incoming.length && !('activation_uuid' in incoming[0])) {
+      throw new Error('CSV must have an activation_uuid column');
+    }
+
+    return this.withLock(rows => {
+      const byUuid = new Map(rows.map(r => [r.activation_uuid, r]));
+      const summary = { added: 0, updated: 0, skippedClaimed: 0, skippedInvalid: 0 };
+
+      for (const row of incoming) {
+        const uuid = row.activation_uuid;
+        if (!uuid) {
+          summary.skippedInvalid++;
+          continue;
+        }
+
+        const existing = byUuid.get(uuid);
+        if (existing && isWebinarRowUsed(existing)) {
+          summary.skippedClaimed++;
+          continue;
+        }
+
+        if (existing) {
+          // Only refresh descriptive fields; claim columns stay as they are
+          for (const [key, value] of Object.entries(row)) {
+            if (!['is_used', 'discord_id', 'discord_username'].includes(key)) existing[key] = value;
+          }
+          summary.updated++;
+        } else {
+          const added = { ...row, is_used: isWebinarRowUsed(row) ? 'True' : 'False', discord_id: row.discord_id || '', discord_username: row.discord_username || '' };
+          rows.push(added);
+          byUuid.set(uuid, added);
+          summary.added++;
+        }
+      }
+
+      return { write: summary.added + summary.updated > 0, ...summary, total: rows.length };
+    }).then(({ write, ...summary }) => summary);
+  }
+}
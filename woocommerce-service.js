@@ -1,30 +1,154 @@
 import WooCommerceRestApiModule from '@woocommerce/woocommerce-rest-api';
-import fs from 'fs';
+import crypto from 'crypto';
 import path from 'path';
+import { isTruthyMeta, toIsoDate } from './order-store.js';
+import { metrics } from './metrics.js';
+import { createLogger } from './logger.js';
 
 // Handle both default export and named export
 const WooCommerceRestApi = WooCommerceRestApiModule.default || WooCommerceRestApiModule;
 
+const wcRequestDuration = metrics.histogram('wc_request_duration_seconds', 'WooCommerce REST API call latency', ['method', 'endpoint']);
+const wcRequestErrors = metrics.counter('wc_request_errors_total', 'Failed WooCommerce REST API calls', ['method', 'endpoint', 'status']);
+
+// orders/123/notes -> orders/:id/notes, so each order doesn't get its own series
+function endpointLabel(endpoint) {
+  return `${endpoint}`.split('?')[0].replace(/\/\d+(?=\/|$)/g, '/:id');
+}
+
+// Time every call made through the REST client and count the failures
+function instrumentApi(api) {
+  const timed = method => async (endpoint, ...args) => {
+    const labels = { method, endpoint: endpointLabel(endpoint) };
+    const startedAt = process.hrtime.bigint();
+    try {
+      return await api[method](endpoint, ...args);
+    } catch (error) {
+      wcRequestErrors.inc({ ...labels, status: error.response?.status || 'network' });
+      throw error;
+    } finally {
+      wcRequestDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    }
+  };
+  return { get: timed('get'), post: timed('post'), put: timed('put'), delete: timed('delete') };
+}
+
 // --- WOOCOMMERCE SERVICE ---
 export class WooCommerceService {
-  constructor() {
-    this.api = new WooCommerceRestApi({
+  constructor({ store = null } = {}) {
+    this.api = instrumentApi(new WooCommerceRestApi({
       url: process.env.WC_API_BASE,
       consumerKey: process.env.WC_CONSUMER_KEY,
       consumerSecret: process.env.WC_CONSUMER_SECRET,
       version: 'wc/v3'
-    });
+    }));
+    // Optional local OrderStore; when set, lookups read its index instead of paging the shop
+    this.store = store;
+    this.rebuildPromise = null;
+  }
+
+  hasStore() {
+    return Boolean(this.store);
+  }
+
+  // Seed the index on first use
+  async ensureOrderStore() {
+    if (this.store.isSeeded()) return;
+    await this.rebuildOrderStore();
+  }
+
+  // Fetch a single order and refresh its local store entry
+  async getOrder(orderId) {
+    try {
+      const response = await this.api.get(`orders/${orderId}`);
+      const order = response.data;
+      if (this.store && order) this.store.upsert(order);
+      return order;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        this.store?.remove(orderId);
+        appendWCLog({ event: 'getOrder.notFound', orderId });
+        return null;
+      }
+      appendWCLog({ event: 'getOrder.error', orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Page through every order matching params, 100 at a time
+  async fetchAllOrders(params = {}) {
+    const orders = [];
+    let totalPages = 1;
+
+    for (let page = 1; page <= totalPages; page++) {
+      const response = await this.api.get('orders', { ...params, per_page: 100, page });
+      totalPages = parseInt(response.headers['x-wp-totalpages'] || '1', 10);
+      orders.push(...(response.data || []));
+    }
+
+    return orders;
+  }
+
+  // Full rebuild of the local order index from a scan of the whole shop. First
+  // lookups, the startup sync and the scheduled rebuild all share one scan.
+  rebuildOrderStore() {
+    if (!this.store) return Promise.reject(new Error('No order store configured'));
+    if (!this.rebuildPromise) {
+      this.rebuildPromise = this.scanIntoStore().finally(() => { this.rebuildPromise = null; });
+    }
+    return this.rebuildPromise;
+  }
+
+  async scanIntoStore() {
+    try {
+      const startedAt = new Date().toISOString();
+      appendWCLog({ event: 'rebuildOrderStore.start' });
+      const orders = await this.fetchAllOrders();
+      this.store.replaceAll(orders, startedAt);
+      appendWCLog({ event: 'rebuildOrderStore.done', count: orders.length });
+      return { success: true, mode: 'full', count: orders.length };
+    } catch (error) {
+      appendWCLog({ event: 'rebuildOrderStore.error', error: error.message });
+      throw error;
+    }
+  }
+
+  // Incremental sync: only pull orders modified since the last sync.
+  // The window is widened slightly to cover clock skew with the shop.
+  // `modified_after` never returns trashed or deleted orders; the scheduled
+  // full rebuild is what drops those from the index.
+  async syncOrderStore() {
+    if (!this.store) throw new Error('No order store configured');
+    if (!this.store.isSeeded() || this.rebuildPromise) return this.rebuildOrderStore();
+
+    try {
+      const startedAt = new Date().toISOString();
+      const overlapMs = parseInt(process.env.ORDER_SYNC_OVERLAP_SECONDS || '300', 10) * 1000;
+      const modifiedAfter = new Date(new Date(this.store.lastSyncedAt).getTime() - overlapMs).toISOString();
+
+      const orders = await this.fetchAllOrders({ modified_after: modifiedAfter, dates_are_gmt: true });
+      this.store.applySync(orders, startedAt);
+      appendWCLog({ event: 'syncOrderStore.done', modifiedAfter, count: orders.length });
+      return { success: true, mode: 'incremental', modifiedAfter, count: orders.length };
+    } catch (error) {
+      appendWCLog({ event: 'syncOrderStore.error', error: error.message });
+      throw error;
+    }
+  }
+
+  // The cheapest authenticated call, for readiness checks
+  async ping() {
+    await this.api.get('orders', { per_page: 1 });
+    return true;
   }
 
   async getOrdersTotal() {
     try {
       const response = await this.api.get('orders', { per_page: 1 });
       const total = response.headers['x-wp-total'] || 0;
-      console.debug('WC getOrdersTotal ->', 'total:', total);
       appendWCLog({ event: 'getOrdersTotal', total });
       return parseInt(total, 10);
     } catch (error) {
-      console.error('Error fetching orders total:', error.message);
       appendWCLog({ event: 'getOrdersTotal.error', error: error.message });
       throw error;
     }
@@ -32,15 +156,32 @@ export class WooCommerceService {
 
   async findOrderByUUID(uuid, uuidMetaKey = process.env.WC_UUID_META_KEY || 'activation_uuid') {
     try {
+      if (this.hasStore()) {
+        await this.ensureOrderStore();
+        for (const entry of this.store.findByUuid(uuid)) {
+          // Re-fetch only the matched order to confirm the index isn't stale
+          const order = await this.getOrder(entry.id);
+          const matching = order && (order.meta_data || []).some(d => d.key === uuidMetaKey && `${d.value}` === `${uuid}`);
+          if (!matching) continue;
+          if (!isClaimableOrder(order)) {
+            appendWCLog({ event: 'findOrderByUUID.unclaimable', orderId: order.id, uuid, source: 'index' }, 'DEBUG');
+            return null;
+          }
+          appendWCLog({ event: 'findOrderByUUID.found', orderId: order.id, uuid, source: 'index' });
+          return { orderId: order.id, order };
+        }
+        appendWCLog({ event: 'findOrderByUUID.notFound', uuid, source: 'index' });
+        return null;
+      }
+
       const totalOrders = await this.getOrdersTotal();
       const totalPages = Math.max(1, Math.ceil(totalOrders / 100));
-      console.debug('WC findOrderByUUID -> searching for UUID:', uuid);
       appendWCLog({ event: 'findOrderByUUID.start', uuid, totalOrders });
 
       for (let page = 1; page <= totalPages; page++) {
         const response = await this.api.get('orders', { per_page: 100, page });
         const orders = response.data || [];
-        console.debug(`WC findOrderByUUID -> page ${page}: ${orders.length} orders`);
+        appendWCLog({ event: 'findOrderByUUID.page', uuid, page, count: orders.length }, 'DEBUG');
 
         for (const order of orders) {
           const metaData = order.meta_data || [];
@@ -51,45 +192,89 @@ export class WooCommerceService {
           const isOldMeta = metaData.find(data => data.key === 'is_old');
           const isOldValue = isOldMeta && (isOldMeta.value === true || isOldMeta.value === 'true' || isOldMeta.value === 'True');
           if (isOldValue) {
-            console.debug('Skipping old order:', order.id);
+            appendWCLog({ event: 'findOrderByUUID.unclaimable', orderId: order.id, uuid, reason: 'old' }, 'DEBUG');
             return null; // stop searching entirely
           }
 
           // Ignore orders that are already claimed (have discord_id or activation_used)
           const claimed = metaData.some(d => d.key === 'discord_id' || d.key === 'activation_used');
           if (claimed) {
-            console.debug('Found matching UUID but order already claimed:', order.id);
+            appendWCLog({ event: 'findOrderByUUID.unclaimable', orderId: order.id, uuid, reason: 'claimed' }, 'DEBUG');
             return null; // stop searching entirely
           }
 
-          console.debug('Found matching UUID on order:', order.id);
           appendWCLog({ event: 'findOrderByUUID.found', orderId: order.id, uuid });
           return { orderId: order.id, order };
         }
       }
 
-      console.warn('No valid order found for UUID:', uuid);
       appendWCLog({ event: 'findOrderByUUID.notFound', uuid });
       return null;
     } catch (error) {
-      console.error('Error finding order by UUID:', error.message);
       appendWCLog({ event: 'findOrderByUUID.error', error: error.message });
       throw error;
     }
   }
 
+  // Find every order carrying a UUID, claimed or not (admin lookups)
+  async findOrdersByUUID(uuid, uuidMetaKey = process.env.WC_UUID_META_KEY || 'activation_uuid') {
+    const hasUuid = order => (order?.meta_data || []).some(d => d.key === uuidMetaKey && `${d.value}` === `${uuid}`);
+
+    if (this.hasStore()) {
+      await this.ensureOrderStore();
+      const orders = [];
+      for (const entry of this.store.findByUuid(uuid)) {
+        const order = await this.getOrder(entry.id);
+        if (hasUuid(order)) orders.push(order);
+      }
+      return orders;
+    }
+
+    return (await this.fetchAllOrders()).filter(hasUuid);
+  }
+
+  // Every order linked to a Discord account, any status and including old ones, newest first
+  async findOrdersByDiscordId(discordId) {
+    const isLinked = order => (order?.meta_data || []).some(d => d.key === 'discord_id' && `${d.value}` === `${discordId}`);
+    const newestFirst = (a, b) => new Date(b.date_created_gmt || b.date_created) - new Date(a.date_created_gmt || a.date_created);
+
+    if (this.hasStore()) {
+      await this.ensureOrderStore();
+      const orders = [];
+      for (const entry of this.store.findByDiscordId(discordId, { includeOld: true })) {
+        const order = await this.getOrder(entry.id);
+        if (isLinked(order)) orders.push(order);
+      }
+      return orders.sort(newestFirst);
+    }
+
+    return (await this.fetchAllOrders()).filter(isLinked).sort(newestFirst);
+  }
+
+  // Every completed, non-old order linked to a Discord account. Always scans the
+  // shop itself: role reconciliation shouldn't trust an index that may have drifted.
+  async findActiveLinkedOrders() {
+    try {
+      const orders = (await this.fetchAllOrders({ status: 'completed' }))
+        .filter(order => !isOldOrder(order) && (order.meta_data || []).some(d => d.key === 'discord_id' && d.value));
+      appendWCLog({ event: 'findActiveLinkedOrders', count: orders.length });
+      return orders;
+    } catch (error) {
+      appendWCLog({ event: 'findActiveLinkedOrders.error', error: error.message });
+      throw error;
+    }
+  }
+
   async updateOrderMemberData(orderId, metadata = []) {
     try {
       const payload = {
         meta_data: metadata
       };
-      console.debug('WC updateOrderMemberData ->', 'orderId:', orderId);
       const response = await this.api.put(`orders/${orderId}`, payload);
-      console.debug('Updated order:', orderId);
+      if (this.store && response.data) this.store.upsert(response.data);
       appendWCLog({ event: 'updateOrderMemberData.success', orderId });
       return response.data;
     } catch (error) {
-      console.error('Error updating order:', error.message);
       appendWCLog({ event: 'updateOrderMemberData.error', orderId, error: error.message });
       throw error;
     }
@@ -98,6 +283,21 @@ export class WooCommerceService {
   // Find a non-old order associated with a Discord user (by discord_id meta)
   async findActiveOrderByDiscordId(discordId) {
     try {
+      if (this.hasStore()) {
+        await this.ensureOrderStore();
+        for (const entry of this.store.findByDiscordId(discordId, { status: 'completed' })) {
+          // Confirm against the live order in case the store lagged behind a webhook
+          const order = await this.getOrder(entry.id);
+          if (!order || order.status !== 'completed' || isOldOrder(order)) continue;
+          if ((order.meta_data || []).some(d => d.key === 'discord_id' && `${d.value}` === `${discordId}`)) {
+            appendWCLog({ event: 'findActiveOrderByDiscordId.found', orderId: order.id, discordId, source: 'index' });
+            return order;
+          }
+        }
+        appendWCLog({ event: 'findActiveOrderByDiscordId.notFound', discordId, source: 'index' });
+        return null;
+      }
+
       const totalOrders = await this.getOrdersTotal();
       const totalPages = Math.max(1, Math.ceil(totalOrders / 100));
       appendWCLog({ event: 'findActiveOrderByDiscordId.start', discordId, totalOrders });
@@ -132,6 +332,39 @@ export class WooCommerceService {
   // Find orders that expire on the given date (local date comparison)
   async findOrdersExpiringOn(targetDate) {
     const isoTarget = new Date(targetDate).toISOString().slice(0, 10); // YYYY-MM-DD
+    return this.findOrdersByExpiry(
+      expiryIso => expiryIso === isoTarget,
+      store => store.findExpiringOn(isoTarget, { status: 'completed' }),
+      { event: 'findOrdersExpiringOn', date: isoTarget }
+    );
+  }
+
+  // Orders that expired on or before the given date, so a day the expiry job
+  // didn't run is caught up on the next run instead of being skipped for good
+  async findOrdersExpiredBy(targetDate) {
+    const isoTarget = new Date(targetDate).toISOString().slice(0, 10);
+    return this.findOrdersByExpiry(
+      expiryIso => expiryIso <= isoTarget,
+      store => store.findExpiringOnOrBefore(isoTarget, { status: 'completed' }),
+      { event: 'findOrdersExpiredBy', date: isoTarget }
+    );
+  }
+
+  // Completed, non-old orders whose expiry date (YYYY-MM-DD) passes matchesExpiry
+  async findOrdersByExpiry(matchesExpiry, storeEntries, logEntry) {
+    if (this.hasStore()) {
+      await this.ensureOrderStore();
+      const matches = [];
+      for (const entry of storeEntries(this.store)) {
+        const order = await this.getOrder(entry.id);
+        if (!order || order.status !== 'completed' || isOldOrder(order)) continue;
+        const expiry = toIsoDate((order.meta_data || []).find(m => m.key === 'expiry_date')?.value);
+        if (expiry && matchesExpiry(expiry)) matches.push(order);
+      }
+      appendWCLog({ ...logEntry, count: matches.length, source: 'index' });
+      return matches;
+    }
+
     const totalOrders = await this.getOrdersTotal();
     const totalPages = Math.max(1, Math.ceil(totalOrders / 100));
     const matches = [];
@@ -151,13 +384,14 @@ export class WooCommerceService {
         if (!expiryMeta || !expiryMeta.value) continue;
 
         // Normalize expiry date value and compare YYYY-MM-DD
-        const expiryIso = new Date(expiryMeta.value).toISOString().slice(0, 10);
-        if (expiryIso === isoTarget) {
+        const expiryIso = toIsoDate(expiryMeta.value);
+        if (expiryIso && matchesExpiry(expiryIso)) {
           matches.push(order);
         }
       }
     }
 
+    appendWCLog({ ...logEntry, count: matches.length });
     return matches;
   }
 
@@ -171,6 +405,7 @@ export class WooCommerceService {
         ]
       };
       const response = await this.api.put(`orders/${orderId}`, payload);
+      if (this.store && response.data) this.store.upsert(response.data);
       appendWCLog({ event: 'markOrderFinished', orderId });
       return response.data;
     } catch (error) {
@@ -178,16 +413,66 @@ export class WooCommerceService {
       throw error;
     }
   }
+
+  // Single-use percentage coupon that only the given billing email can apply
+  async createPersonalCoupon({ code, email, percent, expiresAt, description = '' }) {
+    try {
+      const payload = {
+        code,
+        discount_type: 'percent',
+        amount: `${percent}`,
+        individual_use: true,
+        usage_limit: 1,
+        usage_limit_per_user: 1,
+        email_restrictions: [email],
+        date_expires_gmt: expiresAt,
+        description
+      };
+      const response = await this.api.post('coupons', payload);
+      appendWCLog({ event: 'createPersonalCoupon', code, couponId: response.data?.id });
+      return response.data;
+    } catch (error) {
+      appendWCLog({ event: 'createPersonalCoupon.error', code, error: error.message });
+      throw error;
+    }
+  }
+
+  async getCoupon(couponId) {
+    try {
+      const response = await this.api.get(`coupons/${couponId}`);
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      appendWCLog({ event: 'getCoupon.error', couponId, error: error.message });
+      throw error;
+    }
+  }
 }
 
-// Debug helper: append WooCommerce operation details to a local file
+function isOldOrder(order) {
+  const isOldMeta = (order.meta_data || []).find(m => m.key === 'is_old');
+  return Boolean(isOldMeta && isTruthyMeta(isOldMeta.value));
+}
+
+// Same rule as the page scan: old orders and orders already claimed can't be activated
+export function isClaimableOrder(order) {
+  if (isOldOrder(order)) return false;
+  return !(order.meta_data || []).some(d => d.key === 'discord_id' || d.key === 'activation_used');
+}
+
+// Verify the X-WC-Webhook-Signature header: base64 HMAC-SHA256 of the raw body
+export function verifyWebhookSignature(rawBody, signature, secret) {
+  if (!signature || !secret) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody || '').digest('base64');
+  const a = Buffer.from(expected);
+  const b = Buffer.from(`${signature}`);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// WooCommerce operation log; `.error` events are logged as errors, the rest as info unless a level is given
 const WC_DEBUG_FILE = process.env.WC_DEBUG_FILE || path.join(process.cwd(), 'wc-debug.log');
+const wcLogger = createLogger(WC_DEBUG_FILE);
 
-export function appendWCLog(entry) {
-  try {
-    const line = JSON.stringify({ ts: new Date().toISOString(), ...entry }) + '\n';
-    fs.appendFileSync(WC_DEBUG_FILE, line);
-  } catch (e) {
-    console.warn('Failed to write WC debug file:', e.message);
-  }
+export function appendWCLog(entry, level = `${entry.event}`.endsWith('.error') ? 'ERROR' : 'INFO') {
+  wcLogger.write(level, entry);
 }